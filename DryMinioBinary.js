@@ -1,6 +1,7 @@
 const debug = require('debug');
 const {
     DEFAULT_VERSION,
+    DEFAULT_MC_VERSION,
     envToBool,
     resolveConfig,
     ResolveConfigVariables
@@ -24,6 +25,18 @@ const {MinioBinaryDownloadUrl} = require("./MinioBinaryDownloadUrl")
 
 const log = debug("MinioTST:DryMinioBinary")
 
+/**
+ * All binaries that can be located / downloaded
+ */
+let MinioBinaryNames
+
+;(function (MinioBinaryNames) {
+    /** The server binary */
+    MinioBinaryNames["minio"] = "minio"
+    /** The MinIO Client */
+    MinioBinaryNames["mc"] = "mc"
+})(MinioBinaryNames || (MinioBinaryNames = {}))
+
 /**
  * Locate a Binary, without downloading / locking
  */
@@ -84,8 +97,11 @@ class DryMinioBinary {
      */
     async generateOptions(opts) {
         log("generateOptions")
-        const defaultVersion =
-            resolveConfig(ResolveConfigVariables.VERSION) ?? DEFAULT_VERSION
+        const binaryName = opts?.binaryName ?? MinioBinaryNames.minio
+        const isServer = binaryName === MinioBinaryNames.minio
+        const defaultVersion = isServer
+            ? resolveConfig(ResolveConfigVariables.VERSION) ?? DEFAULT_VERSION
+            : resolveConfig(ResolveConfigVariables.MC_VERSION) ?? DEFAULT_MC_VERSION
         const ensuredOpts = isNullOrUndefined(opts)
             ? {version: defaultVersion}
             : opts
@@ -100,19 +116,25 @@ class DryMinioBinary {
             platform: ensuredOpts.platform || platform(),
             arch: ensuredOpts.arch || arch(),
             systemBinary:
-                resolveConfig(ResolveConfigVariables.SYSTEM_BINARY) ||
+                resolveConfig(
+                    isServer
+                        ? ResolveConfigVariables.SYSTEM_BINARY
+                        : ResolveConfigVariables.MC_SYSTEM_BINARY
+                ) ||
                 ensuredOpts.systemBinary ||
-                ""
+                "",
+            binaryName: binaryName
         }
 
         final.downloadDir = path.dirname(
             (await this.generateDownloadPath(final))[1]
         )
 
-        // if truthy
+        // if truthy, only for the server binary
         if (
-            resolveConfig(ResolveConfigVariables.ARCHIVE_NAME) ||
-            resolveConfig(ResolveConfigVariables.DOWNLOAD_URL)
+            isServer &&
+            (resolveConfig(ResolveConfigVariables.ARCHIVE_NAME) ||
+                resolveConfig(ResolveConfigVariables.DOWNLOAD_URL))
         ) {
             // "DOWNLOAD_URL" will be used over "ARCHIVE_NAME"
             // the "as string" cast is there because it is already checked that one of the 2 exists, and "resolveConfig" ensures it only returns strings
@@ -215,7 +237,11 @@ class DryMinioBinary {
             const addExe = opts.platform === "win32" ? ".exe" : ""
             const dist = isLinuxOS(opts.os) ? opts.os.dist : opts.os.os
 
-            binaryName = `mongod-${opts.arch}-${dist}-${opts.version}${addExe}`
+            const kind = opts.binaryName ?? MinioBinaryNames.minio
+            // the server binary keeps the "mongod" prefix, so that already downloaded binaries are still found
+            const prefix = kind === MinioBinaryNames.minio ? "mongod" : kind
+
+            binaryName = `${prefix}-${opts.arch}-${dist}-${opts.version}${addExe}`
         }
 
         return binaryName
@@ -418,5 +444,6 @@ class DryMinioBinary {
 }
 
 module.exports = {
-    DryMinioBinary
+    DryMinioBinary,
+    MinioBinaryNames
 }
@@ -0,0 +1,354 @@
+const debug = require("debug");
+const {signV4} = require("./signature");
+const {encryptData, decryptData} = require("./adminEncryption");
+const {httpRequest, isNullOrUndefined, sleep} = require("./utils");
+const {AdminRequestError, GenericMMSError} = require("./errors");
+
+const log = debug("MinioTST:MinioAdmin")
+
+/** The Prefix of all admin API paths */
+const ADMIN_API_PREFIX = "/minio/admin/v3"
+/** Header minio sets when a config change got applied without restart */
+const CONFIG_APPLIED_HEADER = "x-minio-config-applied"
+/** Default time to wait for the instance to be ready again after "restart" */
+const DEFAULT_RESTART_TIMEOUT = 1000 * 10
+/** How long a instance that was never seen down has to stay ready after "restart", minio closes its listener right after answering */
+const RESTART_SETTLE_TIME = 1000
+/** Default interval between probes after "restart" */
+const DEFAULT_RESTART_INTERVAL = 100
+
+/**
+ * Client for the minio admin REST API, bound to a running "MinioServer"
+ * Requests are signed with the root credentials of the server
+ */
+class MinioAdmin {
+    /**
+     * Create a admin client for "server"
+     * @param server The "MinioServer" to manage
+     */
+    constructor(server) {
+        this.server = server
+    }
+
+    /**
+     * Debug-log with template applied
+     * @param msg The Message to log
+     */
+    debug(msg, ...extra) {
+        const port = this.server.instanceInfo?.port ?? "unknown"
+        log(`MinioAdmin[${port}]: ${msg}`, ...extra)
+    }
+
+    /**
+     * Send a signed request to the admin API
+     * @param method The HTTP Method
+     * @param apiPath The Path after "/minio/admin/v3", like "/info"
+     * @param options "query" (object), "body" (string / Buffer), "encrypt" to encrypt the body and "decrypt" to decrypt the response
+     * @throws {AdminRequestError} if minio responds with a non-2xx status code
+     * @returns The Status Code, Headers and Body (Buffer) of the response
+     */
+    async request(method, apiPath, options = {}) {
+        const connectionInfo = this.server.getConnectionInfo()
+        const credentials = this.server.getCredentials()
+        const url = new URL(`${connectionInfo.endpoint}${ADMIN_API_PREFIX}${apiPath}`)
+        this.debug(`request: ${method} ${url.pathname}`)
+
+        let body = Buffer.from(options.body ?? "")
+
+        if (options.encrypt) {
+            body = await encryptData(credentials.secretKey, body)
+        }
+
+        for (const [key, value] of Object.entries(options.query ?? {})) {
+            if (!isNullOrUndefined(value)) {
+                url.searchParams.set(key, String(value))
+            }
+        }
+
+        const headers = signV4(
+            {
+                method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                headers: {host: url.host},
+                body
+            },
+            credentials,
+            this.server.getRegion()
+        )
+
+        const res = await httpRequest(url, {
+            method,
+            headers: {...headers, "content-length": body.length},
+            ca: connectionInfo.ca
+        }, body)
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+            throw new AdminRequestError(method, url.pathname, res.statusCode, parseErrorBody(res.body))
+        }
+
+        if (options.decrypt && res.body.length > 0) {
+            res.body = await decryptData(credentials.secretKey, res.body)
+        }
+
+        return res
+    }
+
+    /**
+     * Send a request and parse the response as JSON
+     * @param method The HTTP Method
+     * @param apiPath The Path after "/minio/admin/v3"
+     * @param options See "request"
+     */
+    async requestJSON(method, apiPath, options = {}) {
+        const res = await this.request(method, apiPath, options)
+
+        return res.body.length > 0 ? JSON.parse(res.body.toString()) : undefined
+    }
+
+    /**
+     * Get information about the server (like version, uptime, drives)
+     */
+    async serverInfo() {
+        return this.requestJSON("GET", "/info")
+    }
+
+    /**
+     * Get information about the drives and their usage
+     */
+    async storageInfo() {
+        return this.requestJSON("GET", "/storageinfo")
+    }
+
+    /**
+     * Get the usage per bucket, as last calculated by the data scanner
+     */
+    async dataUsageInfo() {
+        return this.requestJSON("GET", "/datausageinfo")
+    }
+
+    /**
+     * Get the full server config, in the format of "mc admin config export"
+     */
+    async getConfig() {
+        const res = await this.request("GET", "/config", {decrypt: true})
+
+        return res.body.toString()
+    }
+
+    /**
+     * Replace the full server config, in the format of "mc admin config export"
+     * @param config The Config to import
+     */
+    async setConfig(config) {
+        await this.request("PUT", "/config", {body: config, encrypt: true})
+    }
+
+    /**
+     * Get the config of one sub-system, like "api" or "notify_webhook:1"
+     * @param key The Sub-system (and target) to get
+     */
+    async getConfigKV(key) {
+        const res = await this.request("GET", "/get-config-kv", {query: {key}, decrypt: true})
+
+        return res.body.toString()
+    }
+
+    /**
+     * Set config values, like "api requests_max=100"
+     * @param kv The sub-system followed by "key=value" pairs
+     * @returns "true" if the change only gets applied after a restart
+     */
+    async setConfigKV(kv) {
+        const res = await this.request("PUT", "/set-config-kv", {body: kv, encrypt: true})
+
+        return res.headers[CONFIG_APPLIED_HEADER] !== "true"
+    }
+
+    /**
+     * Delete config values, like "api requests_max"
+     * @param kv The sub-system followed by the keys to reset
+     * @returns "true" if the change only gets applied after a restart
+     */
+    async deleteConfigKV(kv) {
+        const res = await this.request("DELETE", "/del-config-kv", {body: kv, encrypt: true})
+
+        return res.headers[CONFIG_APPLIED_HEADER] !== "true"
+    }
+
+    /**
+     * Create a user (or change the secret key of a existing one)
+     * @param accessKey The Access Key (name) of the user
+     * @param secretKey The Secret Key of the user
+     */
+    async addUser(accessKey, secretKey) {
+        await this.request("PUT", "/add-user", {
+            query: {accessKey},
+            body: JSON.stringify({secretKey, status: "enabled"}),
+            encrypt: true
+        })
+    }
+
+    /**
+     * Delete a user, which also removes it from all groups
+     * @param accessKey The Access Key (name) of the user
+     */
+    async removeUser(accessKey) {
+        await this.request("DELETE", "/remove-user", {query: {accessKey}})
+    }
+
+    /**
+     * List all users with their status and policies
+     * @returns A object with the access key as key
+     */
+    async listUsers() {
+        const res = await this.request("GET", "/list-users", {decrypt: true})
+
+        return JSON.parse(res.body.toString())
+    }
+
+    /**
+     * Create (or replace) a policy
+     * @param name The Name of the policy
+     * @param policy The Policy document
+     */
+    async addCannedPolicy(name, policy) {
+        await this.request("PUT", "/add-canned-policy", {
+            query: {name},
+            body: typeof policy === "string" ? policy : JSON.stringify(policy)
+        })
+    }
+
+    /**
+     * Delete a policy
+     * @param name The Name of the policy
+     */
+    async removeCannedPolicy(name) {
+        await this.request("DELETE", "/remove-canned-policy", {query: {name}})
+    }
+
+    /**
+     * Attach policies to a user or a group
+     * @param policies The Names of the policies
+     * @param target Either "{ user }" or "{ group }"
+     */
+    async attachPolicy(policies, target) {
+        await this.request("POST", "/idp/builtin/policy/attach", {
+            body: JSON.stringify({policies, user: target.user, group: target.group}),
+            encrypt: true,
+            decrypt: true
+        })
+    }
+
+    /**
+     * Add users to a group, the group is created if it does not exist (also without members)
+     * @param group The Name of the group
+     * @param members The Access Keys of the users to add / remove
+     * @param isRemove Remove "members" instead of adding them, a group without members is deleted
+     */
+    async updateGroupMembers(group, members, isRemove = false) {
+        await this.request("PUT", "/update-group-members", {
+            body: JSON.stringify({group, members, isRemove, status: ""})
+        })
+    }
+
+    /**
+     * Create a service account (access key) for a user
+     * @param options "targetUser" (the parent user, default is the requesting user), "policy" (document), "accessKey", "secretKey", "name", "description" and "expiration" (Date)
+     * @returns The Credentials, with "accessKey", "secretKey" and "expiration"
+     */
+    async addServiceAccount(options = {}) {
+        const res = await this.request("PUT", "/add-service-accounts", {
+            body: JSON.stringify({
+                policy: options.policy,
+                targetUser: options.targetUser,
+                accessKey: options.accessKey,
+                secretKey: options.secretKey,
+                name: options.name,
+                description: options.description,
+                expiration: options.expiration?.toISOString()
+            }),
+            encrypt: true,
+            decrypt: true
+        })
+
+        return JSON.parse(res.body.toString()).credentials
+    }
+
+    /**
+     * Delete a service account (access key)
+     * @param accessKey The Access Key to delete
+     */
+    async deleteServiceAccount(accessKey) {
+        await this.request("DELETE", "/delete-service-accounts", {query: {accessKey}})
+    }
+
+    /**
+     * Restart the minio process (it restarts in-place, keeping the pid) and wait until it is ready again
+     * @param options "timeout" and "interval" in ms for waiting for readiness
+     */
+    async restart(options = {}) {
+        this.debug("restart: Called .restart() method")
+        const instance = this.server.instanceInfo?.instance
+        await this.request("POST", "/service", {query: {action: "restart"}})
+
+        if (isNullOrUndefined(instance)) {
+            return
+        }
+
+        const interval = options.interval ?? DEFAULT_RESTART_INTERVAL
+        const isReady = async () => {
+            for (const endpoint of instance.getHealthEndpoints()) {
+                if ((await instance.probeHealth(endpoint))?.statusCode !== 200) {
+                    return false
+                }
+            }
+
+            return true
+        }
+
+        const timeout = options.timeout ?? DEFAULT_RESTART_TIMEOUT
+        const requested = Date.now()
+        let seenDown = false
+
+        // the old process may still answer for a moment, so being ready only counts once the instance was down
+        // a restart that happened between two probes is accepted after "RESTART_SETTLE_TIME"
+        while (true) {
+            if (await isReady()) {
+                if (seenDown || Date.now() - requested >= RESTART_SETTLE_TIME) {
+                    break
+                }
+            } else {
+                seenDown = true
+            }
+
+            if (Date.now() - requested >= timeout) {
+                throw new GenericMMSError(`Instance was not ready within ${timeout}ms after restart`)
+            }
+
+            await sleep(interval)
+        }
+
+        this.debug("restart: Instance is ready again")
+    }
+}
+
+/**
+ * Get the message from a admin API error response ("{ Code, Message }" as JSON or XML)
+ * @param body The Response body
+ */
+function parseErrorBody(body) {
+    const text = body.toString()
+
+    try {
+        const parsed = JSON.parse(text)
+
+        return parsed.Message ?? parsed.Code ?? text
+    } catch {
+        return /<Message>([^<]*)<\/Message>/.exec(text)?.[1] ?? text
+    }
+}
+
+module.exports = {
+    MinioAdmin
+}
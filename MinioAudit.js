@@ -0,0 +1,83 @@
+const {WebhookReceiver} = require("./WebhookReceiver");
+const {isNullOrUndefined} = require("./utils");
+
+/** The ID of the audit target in minio's config (the part after "MINIO_AUDIT_WEBHOOK_ENABLE_") */
+const AUDIT_TARGET_ID = "MINIOTST"
+
+/**
+ * Collector for the audit log of a "MinioServer"
+ */
+class MinioAudit extends WebhookReceiver {
+    /**
+     * Get the Target minio is configured with, see "MinioInstance.prepareEnv"
+     * @returns "id" and "endpoint"
+     */
+    getConnectionInfo() {
+        return {
+            id: AUDIT_TARGET_ID,
+            endpoint: this.getEndpoint()
+        }
+    }
+
+    /**
+     * Convert audit records to entries
+     * @param body A single audit record, or a batch of them
+     * @returns Entries with "time", "api" (like "PutObject"), "bucket", "object", "status", "statusCode", "accessKey", "parentUser", "remoteHost", "requestID" and the original "record"
+     */
+    parseBody(body) {
+        return (Array.isArray(body) ? body : [body]).map(record => ({
+            time: new Date(record.time),
+            api: record.api?.name,
+            bucket: record.api?.bucket,
+            object: record.api?.object,
+            status: record.api?.status,
+            statusCode: record.api?.statusCode,
+            accessKey: record.accessKey,
+            parentUser: record.parentUser,
+            remoteHost: record.remotehost,
+            requestID: record.requestID,
+            record
+        }))
+    }
+
+    /**
+     * Get the received entries matching "filter", in order of arrival
+     * minio sends the records asynchronously, use "waitForEntry" to wait for the last request of a test
+     * @param filter "api", "bucket" and "accessKey", all entries if not set
+     */
+    entries(filter = {}) {
+        return this._entries.filter(entryMatcher(filter))
+    }
+
+    /**
+     * Wait for a matching entry, already received entries are checked first
+     * @param filter "api", "bucket", "accessKey" and "timeout" in ms
+     * @throws {WebhookTimeoutError} if no entry matched within the timeout
+     * @returns The first matching entry
+     */
+    async waitForEntry(filter = {}) {
+        const {api, bucket, accessKey, timeout} = filter
+
+        return this.waitFor(entryMatcher(filter), {
+            timeout,
+            description: `audit entry ${JSON.stringify({api, bucket, accessKey})}`
+        })
+    }
+}
+
+/**
+ * Create a function to test entries with
+ * @param filter "api", "bucket" and "accessKey", unset values match everything
+ */
+function entryMatcher(filter) {
+    const {api, bucket, accessKey} = filter
+
+    return entry =>
+        (isNullOrUndefined(api) || entry.api === api) &&
+        (isNullOrUndefined(bucket) || entry.bucket === bucket) &&
+        (isNullOrUndefined(accessKey) || entry.accessKey === accessKey)
+}
+
+module.exports = {
+    MinioAudit
+}
@@ -12,7 +12,7 @@ const { assertion, isNullOrUndefined, mkdir } = require("./utils");
 const { spawnSync } = require("child_process");
 const { LockFile } = require("./lockfile");
 const lockFile = new LockFile();
-const { DryMinioBinary } = require("./DryMinioBinary");
+const { DryMinioBinary, MinioBinaryNames } = require("./DryMinioBinary");
 const dryMinioBinary = new DryMinioBinary();
 
 const log = debug("MinioTST:MinioBinary")
@@ -99,8 +99,8 @@ class MinioBinary {
 
         let binaryPath = await dryMinioBinary.locateBinary(options)
 
-        // check if the system binary has the same version as requested
-        if (!!options.systemBinary) {
+        // check if the system binary has the same version as requested (only the server binary has a comparable version)
+        if (!!options.systemBinary && options.binaryName === MinioBinaryNames.minio) {
             // this case should actually never be false, because if "SYSTEM_BINARY" is set, "locateBinary" will run "getSystemPath" which tests the path for permissions
             if (!isNullOrUndefined(binaryPath)) {
                 log(`getPath: Spawning binaryPath "${binaryPath}" to get version`)
@@ -165,12 +165,13 @@ class MinioBinary {
             )
         }
 
-        log(`getPath: Minio binary path: "${binaryPath}"`)
+        log(`getPath: ${options.binaryName} binary path: "${binaryPath}"`)
 
         return binaryPath
     }
 }
 
 module.exports = {
-    MinioBinary
+    MinioBinary,
+    MinioBinaryNames
 }
@@ -87,8 +87,14 @@ class MinioBinaryDownload {
             typeof opts.downloadDir === "string",
             new Error("An DownloadDir must be specified!")
         )
+        const binaryName = opts.binaryName ?? "minio"
         const version =
-            opts.version ?? resolveConfig(ResolveConfigVariables.VERSION)
+            opts.version ??
+            resolveConfig(
+                binaryName === "mc"
+                    ? ResolveConfigVariables.MC_VERSION
+                    : ResolveConfigVariables.VERSION
+            )
         assertion(
             typeof version === "string",
             new Error("An Minio Binary version must be specified!")
@@ -104,7 +110,8 @@ class MinioBinaryDownload {
                 opts.checkMD5 ??
                 envToBool(resolveConfig(ResolveConfigVariables.MD5_CHECK)),
             systemBinary: opts.systemBinary ?? "",
-            os: opts.os ?? {os: "unknown"}
+            os: opts.os ?? {os: "unknown"},
+            binaryName: binaryName
         }
 
         this.dlProgress = {
@@ -551,7 +558,7 @@ class MinioBinaryDownload {
         const mbComplete = Math.round((this.dlProgress.current / 1048576) * 10) / 10
 
         const crReturn = this.platform === "win32" ? "\x1b[0G" : "\r"
-        const message = `Downloading Minio "${this.version}": ${percentComplete}% (${mbComplete}mb / ${this.dlProgress.totalMb}mb)${crReturn}`
+        const message = `Downloading ${this.binaryOpts.binaryName} "${this.version}": ${percentComplete}% (${mbComplete}mb / ${this.dlProgress.totalMb}mb)${crReturn}`
 
         if (process.stdout.isTTY) {
             // if TTY overwrite last line over and over until finished and clear line to avoid residual characters
@@ -22,6 +22,7 @@ const log = debug("MinioTST:MinioBinaryDownloadUrl")
 class MinioBinaryDownloadUrl {
     constructor(opts) {
         this.version = opts.version
+        this.binaryName = opts.binaryName ?? "minio"
         this.platform = this.translatePlatform(opts.platform)
         this.arch = this.translateArch(opts.arch, this.platform)
         this.os = opts.os
@@ -32,6 +33,10 @@ class MinioBinaryDownloadUrl {
      * Calls all the necessary functions to determine the URL
      */
     async getDownloadUrl() {
+        if (this.binaryName === "mc") {
+            return this.getMcDownloadUrl()
+        }
+
         const downloadUrl = resolveConfig(ResolveConfigVariables.DOWNLOAD_URL)
 
         if (downloadUrl) {
@@ -64,6 +69,27 @@ class MinioBinaryDownloadUrl {
         return url.toString()
     }
 
+    /**
+     * Assemble the URL to download the "mc" binary
+     * "mc" is not archived, the binary itself is downloaded
+     */
+    getMcDownloadUrl() {
+        const mirror =
+            resolveConfig(ResolveConfigVariables.MC_DOWNLOAD_MIRROR) ??
+            "https://dl.min.io/client/mc/release"
+        log(`Using "${mirror}" as the mc mirror`)
+
+        const url = new URL(mirror)
+
+        if (!url.pathname.endsWith("/")) {
+            url.pathname = url.pathname + "/"
+        }
+
+        url.pathname = `${url.pathname}${this.platform}-${this.arch}/archive/${this.version}`
+
+        return url.toString()
+    }
+
     /**
      * Get the archive
      */
@@ -0,0 +1,447 @@
+const getPort = require("get-port");
+const path = require("path");
+const debug = require("debug");
+const {EventEmitter} = require("events");
+const {
+    assertion,
+    endpointTemplate,
+    isNullOrUndefined,
+    authDefault,
+    createTmpDir,
+    removeDir,
+    mkdir,
+    statPath
+} = require("./utils");
+const {MinioInstance} = require("./MinioInstance");
+const {
+    DEFAULT_REGION,
+    authObjectEnable,
+    connectionInfo,
+    createClient,
+    instanceEndpoint,
+    rootCredentials
+} = require("./connection");
+const {ClusterCountLowError, StateError} = require("./errors");
+
+const log = debug("MinioTST:MinioCluster")
+
+/**
+ * All Events for "MinioCluster"
+ */
+let MinioClusterEvents
+
+;(function (MinioClusterEvents) {
+    MinioClusterEvents["stateChange"] = "stateChange"
+})(MinioClusterEvents || (MinioClusterEvents = {}))
+
+/**
+ * All States for "MinioCluster._state"
+ */
+let MinioClusterStates
+
+;(function (MinioClusterStates) {
+    MinioClusterStates["init"] = "init"
+    MinioClusterStates["running"] = "running"
+    MinioClusterStates["stopped"] = "stopped"
+})(MinioClusterStates || (MinioClusterStates = {}))
+
+/**
+ * Class for a local distributed minio deployment, where every node is its own "MinioInstance" on a different port
+ */
+class MinioCluster extends EventEmitter {
+    /**
+     * All the nodes of the cluster, in start order
+     */
+    servers = []
+    /**
+     * The Current State of this cluster
+     */
+    _state = MinioClusterStates.stopped
+
+    /**
+     * Create a Minio-Test-Cluster
+     * @param opts Minio-Test-Cluster Options
+     */
+    constructor(opts = {}) {
+        super()
+        this.opts = {...opts}
+        this.clusterOpts = {
+            count: 4,
+            drives: 1,
+            region: DEFAULT_REGION,
+            ...this.opts.cluster
+        }
+
+        // all nodes of a deployment are required to share the same root credentials
+        this.auth = authDefault(this.opts.auth ?? {})
+    }
+
+    /**
+     * Create a Minio-Test-Cluster that can be awaited
+     * @param opts Minio-Test-Cluster Options
+     */
+    async create(opts) {
+        log("create: Called .create() method")
+        const cluster = new MinioCluster({...opts})
+        await cluster.start()
+
+        return cluster
+    }
+
+    /**
+     * Get Current state of this class
+     */
+    get state() {
+        return this._state
+    }
+
+    /**
+     * Change "this._state" to "newState" and emit "stateChange" with "newState"
+     * @param newState The new State to set & emit
+     */
+    stateChange(newState) {
+        this._state = newState
+        this.emit(MinioClusterEvents.stateChange, newState)
+    }
+
+    /**
+     * Start all nodes of the cluster and wait until the cluster has quorum
+     * @throws if state is not "stopped"
+     */
+    async start() {
+        log("start: Called .start() method")
+
+        switch (this._state) {
+            case MinioClusterStates.stopped:
+                break
+            case MinioClusterStates.running:
+            case MinioClusterStates.init:
+            default:
+                throw new StateError([MinioClusterStates.stopped], this._state)
+        }
+
+        assertion(
+            Number.isInteger(this.clusterOpts.count) && this.clusterOpts.count >= 2,
+            new ClusterCountLowError(this.clusterOpts.count)
+        )
+
+        this.stateChange(MinioClusterStates.init)
+
+        try {
+            // re-use the node definitions of a previous start, so that the data stays with the same node
+            if (this.servers.length === 0) {
+                this.servers = await this._initServers()
+            }
+
+            // all nodes are started at once, because no node gets ready before there is a quorum
+            const results = await Promise.allSettled(this.servers.map(server => server.start()))
+            const failed = results.find(result => result.status === "rejected")
+
+            if (!isNullOrUndefined(failed)) {
+                throw failed.reason
+            }
+        } catch (err) {
+            if (!debug.enabled("MinioTST:MinioCluster")) {
+                console.warn(
+                    "Starting the MinioCluster failed, enable debug log for more information. Error:\n",
+                    err
+                )
+            }
+
+            log("start: Starting a node threw a Error: ", err)
+
+            await this.stop({doCleanup: false, force: false}) // still try to close the nodes that were spawned, without cleanup for investigation
+
+            throw err
+        }
+
+        this.stateChange(MinioClusterStates.running)
+        log("start: Cluster fully Started")
+    }
+
+    /**
+     * Create the "MinioInstance" for every node, including ports and drive directories
+     * @private
+     */
+    async _initServers() {
+        const {count, drives} = this.clusterOpts
+        const instanceOpts = this.opts.instanceOpts ?? []
+        const enableAuth = this.authObjectEnable()
+
+        assertion(
+            Number.isInteger(drives) && drives >= 1,
+            new Error('"cluster.drives" is required to be a positive integer')
+        )
+
+        const nodes = []
+        const usedPorts = []
+
+        for (let i = 0; i < count; i++) {
+            const nodeOpts = instanceOpts[i] ?? {}
+            const port = await this._getNewPort(nodeOpts.port, usedPorts)
+            usedPorts.push(port)
+
+            let consolePort = undefined
+
+            // the console is disabled by default, every node would need its own port
+            if (this.clusterOpts.console === true) {
+                consolePort = await this._getNewPort(nodeOpts.consolePort, usedPorts)
+                usedPorts.push(consolePort)
+            }
+
+            // nodes without a "dataPath" share one tmpDir
+            if (!nodeOpts.dataPath && isNullOrUndefined(this._tmpDir)) {
+                this._tmpDir = await createTmpDir("minio-tst-cluster-")
+            }
+
+            const dataPath = path.resolve(nodeOpts.dataPath ?? path.join(this._tmpDir, `node${i + 1}`))
+            const drivePaths = []
+
+            for (let d = 1; d <= drives; d++) {
+                drivePaths.push(drives > 1 ? path.join(dataPath, `drive${d}`) : dataPath)
+            }
+
+            for (const drivePath of drivePaths) {
+                await mkdir(drivePath)
+            }
+
+            nodes.push({nodeOpts, port, consolePort, dataPath, drivePaths})
+        }
+
+        // every node gets the full list of endpoints, minio determines the local drives by the "--address" port
+        const endpoints = nodes.flatMap(node =>
+            node.drivePaths.map(
+                drivePath => `${endpointTemplate("127.0.0.1", node.port)}${drivePath}`
+            )
+        )
+
+        return nodes.map(
+            ({nodeOpts, port, consolePort, dataPath, drivePaths}) =>
+                new MinioInstance({
+                    instance: {
+                        port,
+                        consolePort,
+                        dataPath,
+                        drivePaths,
+                        drives: endpoints,
+                        ip: "127.0.0.1",
+                        region: this.clusterOpts.region,
+                        launchTimeout: nodeOpts.launchTimeout ?? this.clusterOpts.launchTimeout,
+                        waitStrategy: nodeOpts.waitStrategy,
+                        readiness: {
+                            cluster: true,
+                            ...this.clusterOpts.readiness,
+                            ...nodeOpts.readiness
+                        },
+                        rootUser: enableAuth ? this.auth.customRootName : undefined,
+                        rootPassword: enableAuth ? this.auth.customRootPwd : undefined,
+                        args: nodeOpts.args ?? this.clusterOpts.args
+                    },
+                    binary: this.opts.binary,
+                    spawn: this.opts.spawn
+                })
+        )
+    }
+
+    /**
+     * Find a new unlocked port, which is not already used by another node
+     * @param port A User defined default port
+     * @param usedPorts Ports already assigned to other nodes
+     * @private
+     */
+    async _getNewPort(port, usedPorts) {
+        let newPort = await getPort({port})
+
+        // a user defined "port" is not locked by "get-port"
+        while (usedPorts.includes(newPort)) {
+            newPort = await getPort()
+        }
+
+        if (port != newPort && typeof port === "number") {
+            log(`_getNewPort: using port "${newPort}", since "${port}" was locked`)
+        }
+
+        return newPort
+    }
+
+    /**
+     * Stop all nodes of the cluster, in reverse start order
+     * @param cleanupOptions Set how to run ".cleanup", by default only "{ doCleanup: true }" is used
+     */
+    async stop(cleanupOptions) {
+        log("stop: Called .stop() method")
+
+        /** Default to cleanup temporary, but not custom dataPaths */
+        let cleanup = {doCleanup: true, force: false}
+
+        if (typeof cleanupOptions === "boolean") {
+            cleanup.doCleanup = cleanupOptions
+        }
+
+        if (typeof cleanupOptions === "object") {
+            cleanup = cleanupOptions
+        }
+
+        if (this._state === MinioClusterStates.stopped) {
+            log('stop: state is "stopped", trying to stop / kill anyway')
+        }
+
+        for (const server of [...this.servers].reverse()) {
+            await server.stop()
+        }
+
+        this.stateChange(MinioClusterStates.stopped)
+
+        if (cleanup.doCleanup) {
+            await this.cleanup(cleanup)
+        }
+
+        return true
+    }
+
+    /**
+     * Remove the temporary directory and (with "force") the custom "dataPath"s of all nodes
+     * @param options Set how to run a cleanup, by default "{ doCleanup: true }" is used
+     */
+    async cleanup(options) {
+        assertion(
+            this._state === MinioClusterStates.stopped,
+            new StateError([MinioClusterStates.stopped], this._state)
+        )
+
+        /** Default to doing cleanup, but not forcing it */
+        let cleanup = {doCleanup: true, force: false}
+
+        if (typeof options === "boolean") {
+            cleanup.force = options
+        }
+
+        if (typeof options === "object") {
+            cleanup = options
+        }
+
+        log(`cleanup:`, cleanup)
+
+        if (!cleanup.doCleanup) {
+            log('cleanup: "doCleanup" is set to false')
+
+            return
+        }
+
+        assertion(
+            this.servers.every(server => isNullOrUndefined(server.minioProcess)),
+            new Error(
+                'Cannot cleanup because a "minioProcess" of a node is still defined'
+            )
+        )
+
+        if (cleanup.force) {
+            for (const server of this.servers) {
+                const dataPath = server.instanceOpts.dataPath
+                const res = await statPath(dataPath)
+
+                if (isNullOrUndefined(res)) {
+                    log(`cleanup: force is true, but path "${dataPath}" dosnt exist anymore`)
+                    continue
+                }
+
+                assertion(
+                    res.isDirectory(),
+                    new Error("Defined dataPath is not a directory")
+                )
+
+                await removeDir(dataPath)
+            }
+        }
+
+        if (!isNullOrUndefined(this._tmpDir)) {
+            log(`cleanup: removing tmpDir at ${this._tmpDir}`)
+            await removeDir(this._tmpDir)
+            this._tmpDir = undefined
+        }
+
+        this.servers = []
+    }
+
+    /**
+     * Get the S3 endpoint of the cluster (served by the first node, every node can answer all requests)
+     * @param otherIp Use a different IP than the one of the node (like "localhost")
+     * @throws if state is not "running"
+     */
+    getEndpoint(otherIp) {
+        assertion(
+            this._state === MinioClusterStates.running,
+            new StateError([MinioClusterStates.running], this._state)
+        )
+
+        return instanceEndpoint(this.servers[0].instanceOpts, otherIp)
+    }
+
+    /**
+     * Get the S3 endpoints of all nodes
+     * @param otherIp Use a different IP than the one of the nodes (like "localhost")
+     * @throws if state is not "running"
+     */
+    getEndpoints(otherIp) {
+        assertion(
+            this._state === MinioClusterStates.running,
+            new StateError([MinioClusterStates.running], this._state)
+        )
+
+        return this.servers.map(server => instanceEndpoint(server.instanceOpts, otherIp))
+    }
+
+    /**
+     * Get the root credentials shared by all nodes
+     */
+    getCredentials() {
+        return rootCredentials(
+            this.authObjectEnable() ? this.auth.customRootName : undefined,
+            this.auth.customRootPwd
+        )
+    }
+
+    /**
+     * Get the region of the cluster
+     */
+    getRegion() {
+        return this.clusterOpts.region
+    }
+
+    /**
+     * Get everything needed to connect to the cluster with a S3 client
+     * @param otherIp Use a different IP than the one of the node (like "localhost")
+     * @throws if state is not "running"
+     */
+    getConnectionInfo(otherIp) {
+        assertion(
+            this._state === MinioClusterStates.running,
+            new StateError([MinioClusterStates.running], this._state)
+        )
+
+        return connectionInfo(this.servers[0].instanceOpts, this.getCredentials(), this.getRegion(), otherIp)
+    }
+
+    /**
+     * Get a minio client connected to the cluster with the root credentials
+     * @param clientOptions Extra options for "Minio.Client", overwriting the defaults
+     * @throws if state is not "running"
+     */
+    getClient(clientOptions = {}) {
+        return createClient(this.getConnectionInfo(), clientOptions)
+    }
+
+    /**
+     * Helper function to determine if the "auth" object is set and not to be disabled
+     * @returns "true" when "auth" should be enabled
+     */
+    authObjectEnable() {
+        return authObjectEnable(this.auth)
+    }
+}
+
+module.exports = {
+    MinioCluster,
+    MinioClusterStates,
+    MinioClusterEvents
+}
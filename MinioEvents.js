@@ -0,0 +1,174 @@
+const Minio = require("minio");
+const {WebhookReceiver} = require("./WebhookReceiver");
+const {isNullOrUndefined} = require("./utils");
+
+/** The ID of the webhook target in minio's config (the part after "MINIO_NOTIFY_WEBHOOK_ENABLE_") */
+const WEBHOOK_TARGET_ID = "MINIOTST"
+/** The Events buckets are subscribed to by default */
+const DEFAULT_SUBSCRIBED_EVENTS = ["s3:ObjectCreated:*", "s3:ObjectRemoved:*"]
+
+/**
+ * Test if a event name matches "type", which can end with "*" like "s3:ObjectCreated:*"
+ * @param eventName The Name of the event, like "s3:ObjectCreated:Put"
+ * @param type The Type to match
+ */
+function matchesType(eventName, type) {
+    return type.endsWith("*") ? eventName.startsWith(type.slice(0, -1)) : eventName === type
+}
+
+/** The Target config classes of "Minio.NotificationConfig", by the key used in "getBucketNotification" */
+const TARGET_CONFIGS = [
+    ["TopicConfiguration", "Topic", Minio.TopicConfig],
+    ["QueueConfiguration", "Queue", Minio.QueueConfig],
+    ["CloudFunctionConfiguration", "CloudFunction", Minio.CloudFunctionConfig]
+]
+
+/**
+ * Convert a target returned by "getBucketNotification" back to a target config for "setBucketNotification"
+ * @param TargetConfig The Class of the target, like "Minio.QueueConfig"
+ * @param arn The ARN of the target
+ * @param parsed The parsed target, with "Id", "Event" and "Filter" (as "[{ Name, Value }]")
+ */
+function toTargetConfig(TargetConfig, arn, parsed) {
+    const target = new TargetConfig(arn)
+
+    if (!isNullOrUndefined(parsed.Id)) {
+        target.setId(parsed.Id)
+    }
+
+    for (const event of parsed.Event ?? []) {
+        target.addEvent(event)
+    }
+
+    for (const rule of parsed.Filter ?? []) {
+        if (rule.Name?.toLowerCase() === "prefix") {
+            target.addFilterPrefix(rule.Value)
+        } else {
+            target.addFilterSuffix(rule.Value)
+        }
+    }
+
+    return target
+}
+
+/**
+ * Receiver for the bucket notifications of a "MinioServer"
+ */
+class MinioEvents extends WebhookReceiver {
+    /**
+     * Create a receiver for bucket notifications of "server"
+     * @param server The "MinioServer" that sends the events
+     * @param opts "port" (random by default)
+     */
+    constructor(server, opts = {}) {
+        super(opts)
+        this.server = server
+    }
+
+    /**
+     * All received events, in order of arrival
+     */
+    get events() {
+        return this._entries
+    }
+
+    /**
+     * Get the Target minio is configured with, see "MinioInstance.prepareEnv"
+     * @returns "id" and "endpoint"
+     */
+    getConnectionInfo() {
+        return {
+            id: WEBHOOK_TARGET_ID,
+            endpoint: this.getEndpoint()
+        }
+    }
+
+    /**
+     * Get the ARN to use in bucket notification configs
+     */
+    getARN() {
+        return `arn:minio:sqs:${this.server.getRegion()}:${WEBHOOK_TARGET_ID}:webhook`
+    }
+
+    /**
+     * Send events of "bucket" to the receiver
+     * The existing notification config of the bucket is kept, only a previous subscription of this receiver is replaced
+     * @param bucket The Bucket to subscribe to
+     * @param options "events" (default "s3:ObjectCreated:*" and "s3:ObjectRemoved:*"), "prefix" and "suffix" to filter keys
+     */
+    async subscribe(bucket, options = {}) {
+        this.debug(`subscribe: Subscribing to bucket "${bucket}"`)
+        const queue = new Minio.QueueConfig(this.getARN())
+
+        for (const event of options.events ?? DEFAULT_SUBSCRIBED_EVENTS) {
+            queue.addEvent(event)
+        }
+
+        if (!isNullOrUndefined(options.prefix)) {
+            queue.addFilterPrefix(options.prefix)
+        }
+
+        if (!isNullOrUndefined(options.suffix)) {
+            queue.addFilterSuffix(options.suffix)
+        }
+
+        const client = this.server.getClient()
+        const existing = await client.getBucketNotification(bucket)
+        const config = new Minio.NotificationConfig()
+
+        for (const [key, arnKey, TargetConfig] of TARGET_CONFIGS) {
+            for (const parsed of existing[key] ?? []) {
+                if (parsed[arnKey] !== this.getARN()) {
+                    config.add(toTargetConfig(TargetConfig, parsed[arnKey], parsed))
+                }
+            }
+        }
+
+        config.add(queue)
+
+        await client.setBucketNotification(bucket, config)
+    }
+
+    /**
+     * Convert a notification to one event per record
+     * @param body The Notification, with "EventName", "Key" and "Records"
+     * @returns Events with "type", "bucket", "key" (decoded), "size", "eTag", "time" and the original "record"
+     */
+    parseBody(body) {
+        return (body.Records ?? []).map(record => ({
+            type: record.eventName,
+            bucket: record.s3?.bucket?.name,
+            // keys are url-encoded in notifications
+            key: decodeURIComponent((record.s3?.object?.key ?? "").replace(/\+/g, " ")),
+            size: record.s3?.object?.size,
+            eTag: record.s3?.object?.eTag,
+            time: new Date(record.eventTime),
+            record
+        }))
+    }
+
+    /**
+     * Wait for a matching event, already received events are checked first
+     * @param filter "bucket", "type" (like "s3:ObjectCreated:*"), "keyPrefix" and "timeout" in ms
+     * @throws {WebhookTimeoutError} if no event matched within the timeout
+     * @returns The first matching event
+     */
+    async waitForEvent(filter = {}) {
+        const {bucket, type, keyPrefix, timeout} = filter
+
+        return this.waitFor(
+            event =>
+                (isNullOrUndefined(bucket) || event.bucket === bucket) &&
+                (isNullOrUndefined(type) || matchesType(event.type, type)) &&
+                (isNullOrUndefined(keyPrefix) || event.key.startsWith(keyPrefix)),
+            {
+                timeout,
+                description: `event ${JSON.stringify({bucket, type, keyPrefix})}`
+            }
+        )
+    }
+}
+
+module.exports = {
+    MinioEvents
+}
@@ -5,9 +5,14 @@ const minioBinary = new MinioBinary();
 const debug = require("debug");
 const {
     assertion,
+    endpointTemplate,
     isNullOrUndefined,
     killProcess,
-    checkBinaryPermissions
+    checkBinaryPermissions,
+    validateCredentials,
+    httpProbe,
+    tcpProbe,
+    sleep
 } = require("./utils");
 const {lt} = require("semver");
 const {EventEmitter} = require("events");
@@ -15,9 +20,16 @@ const {EventEmitter} = require("events");
 const {
     GenericMMSError,
     StartBinaryFailedError,
-    StdoutInstanceError,
-    UnexpectedCloseError
+    DriveNotWritableError,
+    IncompatibleDriveError,
+    InvalidCertificateError,
+    PortInUseError,
+    QuorumNotMetError,
+    RejectedCredentialsError,
+    UnexpectedCloseError,
+    UnsupportedFilesystemError
 } = require("./errors");
+const {parseLogLine} = require("./MinioLogs");
 
 // ignore the nodejs warning for coverage
 /* istanbul ignore next */
@@ -43,6 +55,73 @@ let MinioInstanceEvents
     MinioInstanceEvents["instanceStarted"] = "instanceStarted"
 })(MinioInstanceEvents || (MinioInstanceEvents = {}))
 
+/**
+ * All built-in strategies to determine if the instance is ready
+ * "instance.waitStrategy" can also be a function, which resolves once the instance is ready
+ */
+let MinioWaitStrategies
+
+;(function (MinioWaitStrategies) {
+    /** Match "readiness.logPattern" in stdout / stderr */
+    MinioWaitStrategies["log"] = "log"
+    /** Poll the "/minio/health/*" endpoints */
+    MinioWaitStrategies["http"] = "http"
+    /** Wait until the port accepts connections */
+    MinioWaitStrategies["tcp"] = "tcp"
+})(MinioWaitStrategies || (MinioWaitStrategies = {}))
+
+/** How long minio may wait for quorum before it is reported, minio logs this while the drives are still being initialized */
+const QUORUM_GRACE_PERIOD = 1000 * 5
+
+/**
+ * Startup failures of minio, checked in order, the first match is emitted
+ * "localOnly" checks are skipped when a drive is remote
+ * "gracePeriod" checks are only emitted when they still match after that time (in ms) since their first match
+ */
+const STARTUP_ERROR_CHECKS = [
+    {
+        pattern: /address already in use|port is already in use/i,
+        create: (match, text, opts) =>
+            new PortInUseError(/\btcp [^\s:]*:(\d+)/i.exec(text)?.[1] ?? opts.port, text)
+    },
+    {
+        pattern: /invalid credentials|(access|secret) key length should be/i,
+        create: (match, text) => new RejectedCredentialsError(text)
+    },
+    {
+        pattern: /certificate has expired|certificate is not yet valid|not yet valid/i,
+        create: (match, text) => new InvalidCertificateError(true, text)
+    },
+    {
+        pattern: /unable to load the TLS configuration|invalid TLS certificate|tls: private key does not match|failed to find any PEM data/i,
+        create: (match, text) => new InvalidCertificateError(false, text)
+    },
+    {
+        pattern: /unsupported (drive|disk|filesystem)|does not support O_DIRECT/i,
+        create: (match, text) => new UnsupportedFilesystemError(text)
+    },
+    {
+        pattern: /found backend type \w+|unsupported backend format|corrupted backend format|part of (the )?root (drive|disk)|inconsistent (drive|disk) found/i,
+        create: (match, text) => new IncompatibleDriveError(text)
+    },
+    {
+        // "permission denied" alone could also be about other files, like the certificates
+        pattern: /(drive|disk|file) access denied|(drive|disk) is not writable|(drive|disk|\.minio\.sys|format\.json)\b[^\n]*permission denied/i,
+        create: (match, text) => new DriveNotWritableError(text)
+    },
+    {
+        pattern: /waiting for a minimum of \d+ (drives|disks) to come online|insufficient number of (drives|disks) online/i,
+        localOnly: true,
+        gracePeriod: QUORUM_GRACE_PERIOD,
+        create: (match, text) => new QuorumNotMetError(text)
+    }
+]
+
+/** Default pattern for the "log" wait strategy (the startup banner) */
+const DEFAULT_READY_LOG_PATTERN = /MinIO Object Storage Server/i
+/** Default interval between readiness probes */
+const DEFAULT_READINESS_INTERVAL = 100
+
 /**
  * Minio Instance Handler Class
  * This Class starts & stops the "minio" process directly and handles stdout, sterr and close events
@@ -56,6 +135,10 @@ class MinioInstance extends EventEmitter {
      * This boolean is "true" if the instance is successfully started
      */
     isInstanceReady = false
+    /**
+     * When the "gracePeriod" checks of "STARTUP_ERROR_CHECKS" first matched in the current start
+     */
+    _startupErrorsSeen = new Map()
 
     constructor(opts) {
         super()
@@ -108,17 +191,30 @@ class MinioInstance extends EventEmitter {
             new Error('"instanceOpts.port" is required to be set!')
         )
         assertion(
-            !isNullOrUndefined(this.instanceOpts.dataPath),
-            new Error('"instanceOpts.dataPath" is required to be set!')
+            !isNullOrUndefined(this.instanceOpts.dataPath) ||
+            (this.instanceOpts.drives?.length ?? 0) > 0,
+            new Error('"instanceOpts.dataPath" or "instanceOpts.drives" is required to be set!')
         )
 
         const result = []
 
-        result.push("server", this.instanceOpts.dataPath)
+        // "drives" can contain multiple paths or erasure-set expansions like "/path/drive{1...4}"
+        result.push("server", ...(this.instanceOpts.drives ?? [this.instanceOpts.dataPath]))
         result.push("--address", ":" + this.instanceOpts.port)
-        result.push("--console-address", ":9001")
 
-        // "!!" converts the value to an boolean (double-invert) so that no "falsy" values are added
+        // no console address when the console is disabled ("MINIO_BROWSER=off")
+        if (!isNullOrUndefined(this.instanceOpts.consolePort)) {
+            result.push("--console-address", ":" + this.instanceOpts.consolePort)
+        }
+
+        if (!isNullOrUndefined(this.instanceOpts.certsDir)) {
+            result.push("--certs-dir", this.instanceOpts.certsDir)
+        }
+
+        // structured logs for "MinioLogs", one JSON object per line
+        if (!isNullOrUndefined(this.instanceOpts.logs)) {
+            result.push("--json")
+        }
 
         const final = result.concat(this.instanceOpts.args ?? [])
 
@@ -129,6 +225,94 @@ class MinioInstance extends EventEmitter {
         return final
     }
 
+    /**
+     * Create the environment for the minio process
+     */
+    prepareEnv() {
+        this.debug("prepareEnv")
+
+        const env = {
+            ...(this.spawnOpts.env ?? process.env)
+        }
+
+        // remove inherited credentials, so that only the configured ones (or the minio defaults) are used
+        delete env.MINIO_ROOT_USER
+        delete env.MINIO_ROOT_PASSWORD
+        delete env.MINIO_ACCESS_KEY
+        delete env.MINIO_SECRET_KEY
+        delete env.MINIO_KMS_SECRET_KEY
+        delete env.MINIO_KMS_AUTO_ENCRYPTION
+        delete env.MINIO_PROMETHEUS_AUTH_TYPE
+
+        // remove inherited identity providers, so that only the in-process issuer (if enabled) is trusted
+        for (const key of Object.keys(env).filter(key => key.startsWith("MINIO_IDENTITY_OPENID_"))) {
+            delete env[key]
+        }
+
+        if (!isNullOrUndefined(this.instanceOpts.rootUser)) {
+            validateCredentials(
+                this.instanceOpts.rootUser,
+                this.instanceOpts.rootPassword
+            )
+
+            env.MINIO_ROOT_USER = this.instanceOpts.rootUser
+            env.MINIO_ROOT_PASSWORD = this.instanceOpts.rootPassword
+        }
+
+        if (isNullOrUndefined(this.instanceOpts.consolePort)) {
+            env.MINIO_BROWSER = "off"
+        }
+
+        if (!isNullOrUndefined(this.instanceOpts.region)) {
+            env.MINIO_SITE_REGION = this.instanceOpts.region
+        }
+
+        // a static key is enough for SSE-S3 / SSE-KMS, no external KMS is needed
+        if (!isNullOrUndefined(this.instanceOpts.encryption)) {
+            const {keyName, key, autoEncryption} = this.instanceOpts.encryption
+            env.MINIO_KMS_SECRET_KEY = `${keyName}:${key}`
+
+            if (!!autoEncryption) {
+                env.MINIO_KMS_AUTO_ENCRYPTION = "on"
+            }
+        }
+
+        // enable the certificate based STS identity provider ("AssumeRoleWithCertificate")
+        if (!!this.instanceOpts.mtls) {
+            env.MINIO_IDENTITY_TLS_ENABLE = "on"
+        }
+
+        // trust the in-process issuer for "AssumeRoleWithWebIdentity"
+        if (!isNullOrUndefined(this.instanceOpts.oidc)) {
+            const {configUrl, clientId, claimName, scopes} = this.instanceOpts.oidc
+            env.MINIO_IDENTITY_OPENID_CONFIG_URL = configUrl
+            env.MINIO_IDENTITY_OPENID_CLIENT_ID = clientId
+            env.MINIO_IDENTITY_OPENID_CLAIM_NAME = claimName
+            env.MINIO_IDENTITY_OPENID_SCOPES = scopes.join(",")
+        }
+
+        // send bucket notifications to the in-process receiver, buckets still need to subscribe to it
+        if (!isNullOrUndefined(this.instanceOpts.events)) {
+            const {id, endpoint} = this.instanceOpts.events
+            env[`MINIO_NOTIFY_WEBHOOK_ENABLE_${id}`] = "on"
+            env[`MINIO_NOTIFY_WEBHOOK_ENDPOINT_${id}`] = endpoint
+        }
+
+        // allow scraping the Prometheus endpoints without a bearer token
+        if (this.instanceOpts.metricsAuth === "public") {
+            env.MINIO_PROMETHEUS_AUTH_TYPE = "public"
+        }
+
+        // send the audit log to the in-process collector
+        if (!isNullOrUndefined(this.instanceOpts.audit)) {
+            const {id, endpoint} = this.instanceOpts.audit
+            env[`MINIO_AUDIT_WEBHOOK_ENABLE_${id}`] = "on"
+            env[`MINIO_AUDIT_WEBHOOK_ENDPOINT_${id}`] = endpoint
+        }
+
+        return env
+    }
+
     /**
      * Create the minio process
      * @fires MinioInstance#instanceStarted
@@ -137,8 +321,12 @@ class MinioInstance extends EventEmitter {
         this.debug("start")
         this.isInstancePrimary = false
         this.isInstanceReady = false
+        this._startupErrorsSeen.clear()
 
         let timeout
+        /** Used to stop the readiness probes once "launch" is settled */
+        const waitToken = {cancelled: false}
+        this.lastReadinessProbe = undefined
 
         const minioBin = await minioBinary.getPath(this.binaryOpts)
         await checkBinaryPermissions(minioBin)
@@ -157,16 +345,20 @@ class MinioInstance extends EventEmitter {
                 }
             )
 
+            const launchTimeout =
+                this.instanceOpts.readiness?.timeout ?? this.instanceOpts.launchTimeout
             // extra conditions just to be sure that the custom defined timeout is valid
             const timeoutTime =
-                !!this.instanceOpts.launchTimeout &&
-                this.instanceOpts.launchTimeout >= 1000
-                    ? this.instanceOpts.launchTimeout
+                !!launchTimeout && launchTimeout >= 1000
+                    ? launchTimeout
                     : 1000 * 10 // default 10 seconds
 
             timeout = setTimeout(() => {
+                const lastProbe = !isNullOrUndefined(this.lastReadinessProbe)
+                    ? ` (last readiness probe: ${this.lastReadinessProbe})`
+                    : ""
                 const err = new GenericMMSError(
-                    `Instance failed to start within ${timeoutTime}ms`
+                    `Instance failed to start within ${timeoutTime}ms${lastProbe}`
                 )
                 this.emit(MinioInstanceEvents.instanceError, err)
 
@@ -175,6 +367,8 @@ class MinioInstance extends EventEmitter {
         }).finally(() => {
             // always clear the timeout after the promise somehow resolves
             clearTimeout(timeout)
+            // stop all readiness probes, regardless of the outcome
+            waitToken.cancelled = true
         })
 
         this.debug("start: Starting Processes")
@@ -187,11 +381,107 @@ class MinioInstance extends EventEmitter {
         )
         this.killerProcess = this._launchKiller(process.pid, this.minioProcess.pid)
 
+        this.waitForReady(waitToken).catch(err =>
+            this.emit(MinioInstanceEvents.instanceError, err)
+        )
+
         await launch
         this.emit(MinioInstanceEvents.instanceStarted)
         this.debug("start: Processes Started")
     }
 
+    /**
+     * Wait until the instance is ready with the configured "instance.waitStrategy"
+     * @param waitToken Probing stops once "waitToken.cancelled" is "true"
+     * @fires MinioInstance#instanceReady
+     */
+    async waitForReady(waitToken = {cancelled: false}) {
+        const strategy = this.instanceOpts.waitStrategy ?? MinioWaitStrategies.http
+        this.debug(
+            `waitForReady: waiting with strategy "${
+                typeof strategy === "function" ? "custom" : strategy
+            }"`
+        )
+
+        if (typeof strategy === "function") {
+            await strategy(this)
+        } else {
+            switch (strategy) {
+                case MinioWaitStrategies.log:
+                    // handled in "stdoutHandler" and "stderrHandler"
+                    return
+                case MinioWaitStrategies.tcp:
+                    await this._pollReadiness(waitToken, async () => {
+                        const open = await tcpProbe("127.0.0.1", this.instanceOpts.port)
+                        this.lastReadinessProbe = `tcp port ${open ? "open" : "closed"}`
+
+                        return open
+                    })
+                    break
+                case MinioWaitStrategies.http:
+                    for (const endpoint of this.getHealthEndpoints()) {
+                        await this._pollReadiness(waitToken, async () => {
+                            const res = await this.probeHealth(endpoint)
+                            this.lastReadinessProbe = `"${endpoint}" returned "${res?.statusCode ?? "no response"}"`
+
+                            return res?.statusCode === 200
+                        })
+                    }
+                    break
+                default:
+                    throw new GenericMMSError(`Unknown waitStrategy "${strategy}"`)
+            }
+        }
+
+        if (!waitToken.cancelled) {
+            this.emit(MinioInstanceEvents.instanceReady)
+        }
+    }
+
+    /**
+     * Get the health endpoints that need to return "200" before the instance is considered ready
+     */
+    getHealthEndpoints() {
+        const endpoints = ["/minio/health/live", "/minio/health/ready"]
+
+        if (!!this.instanceOpts.readiness?.cluster) {
+            endpoints.push("/minio/health/cluster")
+        }
+
+        return endpoints
+    }
+
+    /**
+     * Request a health endpoint of the instance
+     * @param endpoint The path of the endpoint, like "/minio/health/live"
+     * @returns The Status Code and Headers, or "undefined" if the request failed
+     */
+    async probeHealth(endpoint) {
+        const tls = this.instanceOpts.tls
+        const url = endpointTemplate("127.0.0.1", this.instanceOpts.port, !isNullOrUndefined(tls))
+
+        return httpProbe(`${url}${endpoint}`, isNullOrUndefined(tls) ? {} : {ca: tls.ca})
+    }
+
+    /**
+     * Run "probe" every "readiness.interval" ms until it returns "true" or "waitToken" is cancelled
+     * @param waitToken Probing stops once "waitToken.cancelled" is "true"
+     * @param probe The Function to run, returning if the probe was successful
+     * @private
+     */
+    async _pollReadiness(waitToken, probe) {
+        const interval =
+            this.instanceOpts.readiness?.interval ?? DEFAULT_READINESS_INTERVAL
+
+        while (!waitToken.cancelled) {
+            if (await probe()) {
+                return
+            }
+
+            await sleep(interval)
+        }
+    }
+
     /**
      * Shutdown all related processes (Minio Instance & Killer Process)
      */
@@ -246,6 +536,7 @@ class MinioInstance extends EventEmitter {
             cmdArgs,
             {
                 ...this.spawnOpts,
+                env: this.prepareEnv(),
                 stdio: "pipe" // ensure that stdio is always an pipe, regardless of user input
             }
         )
@@ -326,6 +617,7 @@ class MinioInstance extends EventEmitter {
         }
 
         this.debug(`closeHandler: code: "${code}", signal: "${signal}"`)
+        this.instanceOpts.logs?.close()
         this.emit(MinioInstanceEvents.instanceClosed, code, signal)
     }
 
@@ -338,12 +630,10 @@ class MinioInstance extends EventEmitter {
         const line = message.toString().trim()
         this.debug(`stderrHandler: ""${line}""`) // denoting the STDERR string with double quotes, because the stdout might also use quotes
         this.emit(MinioInstanceEvents.instanceSTDERR, line)
+        this.instanceOpts.logs?.push(message, "stderr")
 
         this.checkErrorInLine(line)
-
-        if (/MinIO Object Storage Server/i.test(line)) {
-            this.emit(MinioInstanceEvents.instanceReady)
-        }
+        this.checkReadyInLine(line)
     }
 
     /**
@@ -359,12 +649,10 @@ class MinioInstance extends EventEmitter {
         const line = message.toString().trim() // trimming to remove extra new lines and spaces around the message
         this.debug(`stdoutHandler: ""${line}""`) // denoting the STDOUT string with double quotes, because the stdout might also use quotes
         this.emit(MinioInstanceEvents.instanceSTDOUT, line)
+        this.instanceOpts.logs?.push(message, "stdout")
 
         // dont use "else if", because input can be multiple lines and match multiple things
-        if (/waiting for connections/i.test(line)) {
-            this.emit(MinioInstanceEvents.instanceReady)
-        }
-
+        this.checkReadyInLine(line)
         this.checkErrorInLine(line)
 
         // this case needs to be infront of "transition to primary complete", otherwise it might reset "isInstancePrimary" to "false"
@@ -388,102 +676,73 @@ class MinioInstance extends EventEmitter {
     }
 
     /**
-     * Run Checks on the line if the lines contain any thrown errors
+     * Emit "instanceReady" if the line matches "readiness.logPattern" and the "log" wait strategy is used
      * @param line The Line to check
+     * @fires MinioInstance#instanceReady
      */
-    checkErrorInLine(line) {
-        if (/address already in use/i.test(line)) {
-            this.emit(
-                MinioInstanceEvents.instanceError,
-                new StdoutInstanceError(
-                    `Port "${this.instanceOpts.port}" already in use`
-                )
-            )
+    checkReadyInLine(line) {
+        if (this.instanceOpts.waitStrategy !== MinioWaitStrategies.log) {
+            return
+        }
+
+        const pattern =
+            this.instanceOpts.readiness?.logPattern ?? DEFAULT_READY_LOG_PATTERN
+
+        if (new RegExp(pattern).test(line)) {
+            this.emit(MinioInstanceEvents.instanceReady)
         }
+    }
 
-        {
-            const execptionMatch = /\bexception in initAndListen: (\w+): /i.exec(line)
+    /**
+     * Check if the line(s) contain a known startup failure, and emit it as a typed error with a hint
+     * Only checked until the instance is ready, because runtime errors (like drives going offline) are expected in tests
+     * @param line The Line(s) to check
+     * @fires MinioInstance#instanceError
+     */
+    checkErrorInLine(line) {
+        if (this.isInstanceReady) {
+            return
+        }
 
-            if (!isNullOrUndefined(execptionMatch)) {
-                // in pre-4.0 mongodb this exception may have been "permission denied" and "Data directory /path not found"
+        // with "--json" the message and the error are in separate fields
+        const text = line
+            .split("\n")
+            .map(part => {
+                const entry = parseLogLine(part, "stdout")
 
-                this.emit(
-                    MinioInstanceEvents.instanceError,
-                    new StdoutInstanceError(
-                        `Instance Failed to start with "${execptionMatch[1] ??
-                        "unknown"}". Original Error:\n` +
-                        line
-                            .substring(execptionMatch.index + execptionMatch[0].length)
-                            .replace(/, terminating$/gi, "")
-                    )
-                )
-            }
+                return isNullOrUndefined(entry.record) ? part : `${entry.message} ${entry.error ?? ""}`
+            })
+            .join("\n")
 
-            // special handling for when mongodb outputs this error as json
-            const execptionMatchJson = /\bDBException in initAndListen,/i.test(line)
+        // remote drives (like in a cluster) come online one after another, so waiting for quorum is expected there
+        const isLocal = (this.instanceOpts.drives ?? []).every(drive => !drive.includes("://"))
 
-            if (execptionMatchJson) {
-                const loadedJSON = JSON.parse(line) ?? {}
+        for (const check of STARTUP_ERROR_CHECKS) {
+            const match = check.pattern.exec(text)
 
-                this.emit(
-                    MinioInstanceEvents.instanceError,
-                    new StdoutInstanceError( // try to use the parsed json, but as fallback use the entire line
-                        `Instance Failed to start with "DBException in initAndListen". Original Error:\n` +
-                        loadedJSON?.attr?.error ?? line
-                    )
-                )
+            if (isNullOrUndefined(match) || (check.localOnly && !isLocal)) {
+                continue
             }
-        }
 
-        if (/CURL_OPENSSL_3['\s]+not found/i.test(line)) {
-            this.emit(
-                MinioInstanceEvents.instanceError,
-                new StdoutInstanceError(
-                    "libcurl3 is not available on your system. Minio requires it and cannot be started without it.\n" +
-                    "You should manually install libcurl3 or try to use an newer version of Minio"
-                )
-            )
-        }
-        if (/CURL_OPENSSL_4['\s]+not found/i.test(line)) {
-            this.emit(
-                MinioInstanceEvents.instanceError,
-                new StdoutInstanceError(
-                    "libcurl4 is not available on your system. Minio requires it and cannot be started without it.\n" +
-                    "You need to manually install libcurl4"
-                )
-            )
-        }
-
-        {
-            /*
-            The following regex matches something like "libsomething.so.1: cannot open shared object"
-            and is optimized to only start matching at a word boundary ("\b") and using atomic-group replacement "(?=inner)\1"
-            */
-            const liberrormatch = line.match(
-                /\b(?=(lib[^:]+))\1: cannot open shared object/i
-            )
+            if (!isNullOrUndefined(check.gracePeriod)) {
+                const firstSeen = this._startupErrorsSeen.get(check) ?? Date.now()
+                this._startupErrorsSeen.set(check, firstSeen)
 
-            if (!isNullOrUndefined(liberrormatch)) {
-                const lib = liberrormatch[1].toLocaleLowerCase() ?? "unknown"
-                this.emit(
-                    MinioInstanceEvents.instanceError,
-                    new StdoutInstanceError(
-                        `Instance failed to start because a library is missing or cannot be opened: "${lib}"`
-                    )
-                )
+                if (Date.now() - firstSeen < check.gracePeriod) {
+                    this.debug(`checkErrorInLine: ignoring "${match[0]}" within the grace period`)
+                    continue
+                }
             }
-        }
 
-        if (/\*\*\*aborting after/i.test(line)) {
-            this.emit(
-                MinioInstanceEvents.instanceError,
-                new StdoutInstanceError("Minio internal error")
-            )
+            this.emit(MinioInstanceEvents.instanceError, check.create(match, text, this.instanceOpts))
+
+            return
         }
     }
 }
 
 module.exports = {
     MinioInstance,
-    MinioInstanceEvents
+    MinioInstanceEvents,
+    MinioWaitStrategies
 }
@@ -0,0 +1,203 @@
+const {isNullOrUndefined} = require("./utils");
+
+/** Default amount of entries kept in the ring buffer */
+const DEFAULT_BUFFER_SIZE = 1000
+
+/**
+ * All Log levels minio uses
+ */
+let MinioLogLevels
+
+;(function (MinioLogLevels) {
+    MinioLogLevels["info"] = "INFO"
+    MinioLogLevels["warning"] = "WARNING"
+    MinioLogLevels["error"] = "ERROR"
+    MinioLogLevels["fatal"] = "FATAL"
+})(MinioLogLevels || (MinioLogLevels = {}))
+
+/**
+ * Parse a line minio wrote with "--json"
+ * Lines which are not JSON (like output before the logger is set-up) become "INFO" entries with the line as message
+ * @param line The Line to parse
+ * @param stream "stdout" or "stderr"
+ * @returns The Entry with "time", "level", "message", "api", "error", "trace", "stream" and the original "record"
+ */
+function parseLogLine(line, stream) {
+    let record
+
+    try {
+        record = JSON.parse(line)
+    } catch {
+        record = undefined
+    }
+
+    if (typeof record !== "object" || isNullOrUndefined(record)) {
+        return {
+            time: new Date(),
+            level: MinioLogLevels.info,
+            message: line,
+            api: undefined,
+            error: undefined,
+            trace: undefined,
+            stream,
+            record: undefined
+        }
+    }
+
+    // older minio versions use "error", newer ones "trace" for the error details
+    const details = record.trace ?? record.error
+
+    return {
+        time: isNullOrUndefined(record.time) ? new Date() : new Date(record.time),
+        level: record.level ?? MinioLogLevels.info,
+        message: record.message ?? details?.message ?? "",
+        api: record.api?.name,
+        error: details?.message,
+        trace: details?.source,
+        stream,
+        record
+    }
+}
+
+/**
+ * Collector for the JSON logs of a instance, keeping the last entries in a ring buffer
+ * Also a async iterable, which yields all entries logged after iteration started, until the instance stops
+ */
+class MinioLogs {
+    /** The last entries, oldest first */
+    _buffer = []
+    /** Incomplete lines per stream, because output chunks do not respect line boundaries */
+    _pending = {stdout: "", stderr: ""}
+    /** Active iterators, waiting for new entries */
+    _iterators = new Set()
+
+    /**
+     * Create a log collector
+     * @param opts "bufferSize" the amount of entries to keep
+     */
+    constructor(opts = {}) {
+        this.opts = {bufferSize: opts.bufferSize ?? DEFAULT_BUFFER_SIZE}
+    }
+
+    /**
+     * All entries in the ring buffer, oldest first
+     */
+    get entries() {
+        return [...this._buffer]
+    }
+
+    /**
+     * Add output of the instance
+     * @param chunk The Output, which can contain multiple or partial lines
+     * @param stream "stdout" or "stderr"
+     */
+    push(chunk, stream) {
+        const lines = (this._pending[stream] + chunk.toString()).split("\n")
+        this._pending[stream] = lines.pop() ?? ""
+
+        for (const line of lines) {
+            if (line.trim().length > 0) {
+                this._add(parseLogLine(line.trim(), stream))
+            }
+        }
+    }
+
+    /**
+     * Get the first (oldest) entry in the buffer matching "predicate"
+     * @param predicate Function to test each entry with
+     */
+    find(predicate) {
+        return this._buffer.find(predicate)
+    }
+
+    /**
+     * Get all entries in the buffer matching "predicate"
+     * @param predicate Function to test each entry with
+     */
+    filter(predicate) {
+        return this._buffer.filter(predicate)
+    }
+
+    /**
+     * Get all entries in the buffer with level "ERROR" or "FATAL"
+     */
+    errors() {
+        return this.filter(
+            entry => entry.level === MinioLogLevels.error || entry.level === MinioLogLevels.fatal
+        )
+    }
+
+    /**
+     * Remove all entries from the buffer, like before a test
+     */
+    clear() {
+        this._buffer = []
+    }
+
+    /**
+     * End all running iterations, called when the instance stops
+     * Incomplete last lines are added first
+     */
+    close() {
+        for (const stream of Object.keys(this._pending)) {
+            this.push("\n", stream)
+        }
+
+        for (const iterator of this._iterators) {
+            iterator.done = true
+            iterator.notify?.()
+        }
+
+        this._iterators.clear()
+    }
+
+    /**
+     * Iterate over all entries logged from now on, until the instance stops
+     */
+    async *[Symbol.asyncIterator]() {
+        const iterator = {queue: [], done: false, notify: undefined}
+        this._iterators.add(iterator)
+
+        try {
+            while (true) {
+                if (iterator.queue.length > 0) {
+                    yield iterator.queue.shift()
+                    continue
+                }
+
+                if (iterator.done) {
+                    return
+                }
+
+                await new Promise(res => (iterator.notify = res))
+                iterator.notify = undefined
+            }
+        } finally {
+            this._iterators.delete(iterator)
+        }
+    }
+
+    /**
+     * Add a entry to the buffer and to all iterations
+     * @param entry The parsed Entry
+     * @private
+     */
+    _add(entry) {
+        this._buffer.push(entry)
+
+        if (this._buffer.length > this.opts.bufferSize) {
+            this._buffer.shift()
+        }
+
+        for (const iterator of this._iterators) {
+            iterator.queue.push(entry)
+            iterator.notify?.()
+        }
+    }
+}
+
+module.exports = {
+    MinioLogs,
+    MinioLogLevels,
+    parseLogLine
+}
@@ -0,0 +1,222 @@
+const http = require("http");
+const debug = require("debug");
+const {generateKeyPairSync, randomBytes, sign} = require("crypto");
+const forge = require("node-forge");
+const {base64url, isNullOrUndefined, trackConnections} = require("./utils");
+
+const log = debug("MinioTST:MinioOIDC")
+
+/** The Client ID minio is configured with, when "clientId" is not set */
+const DEFAULT_CLIENT_ID = "minio-for-tests"
+/** The Claim minio reads the policy names from (same as the minio default) */
+const DEFAULT_CLAIM_NAME = "policy"
+/** Default lifetime of minted tokens in seconds */
+const DEFAULT_TOKEN_EXPIRY = 60 * 60
+/** The Path of the discovery document */
+const DISCOVERY_PATH = "/.well-known/openid-configuration"
+/** The Path of the JSON Web Key Set */
+const JWKS_PATH = "/jwks"
+
+/**
+ * Encode a forge BigInteger as base64url, without the leading sign byte
+ * @param value The BigInteger to encode
+ */
+function bigIntegerToBase64url(value) {
+    const bytes = Buffer.from(value.toByteArray())
+
+    return base64url(bytes[0] === 0 ? bytes.subarray(1) : bytes)
+}
+
+/**
+ * A minimal OpenID Connect issuer, to test "AssumeRoleWithWebIdentity" without a real identity provider
+ * It only serves the discovery document and the signing keys, tokens are minted directly with "mintToken"
+ */
+class MinioOIDC {
+    /** The Port the issuer listens on, kept across restarts so that minio's config stays valid */
+    port = undefined
+    /** The HTTP server, "undefined" while stopped */
+    _server = undefined
+    /** Function to destroy the open connections of "_server" */
+    _destroyConnections = undefined
+
+    /**
+     * Create a OIDC issuer
+     * @param opts "clientId", "claimName" (the claim containing the policy names), "scopes" and "port" (random by default)
+     */
+    constructor(opts = {}) {
+        this.opts = {
+            clientId: opts.clientId ?? DEFAULT_CLIENT_ID,
+            claimName: opts.claimName ?? DEFAULT_CLAIM_NAME,
+            scopes: opts.scopes ?? ["openid"],
+            port: opts.port
+        }
+
+        const {publicKey, privateKey} = generateKeyPairSync("rsa", {modulusLength: 2048})
+        // exporting as JWK only exists since NodeJS 15.9
+        const {n, e} = forge.pki.publicKeyFromPem(publicKey.export({type: "spki", format: "pem"}))
+        this._privateKey = privateKey
+        this._jwk = {
+            kty: "RSA",
+            n: bigIntegerToBase64url(n),
+            e: bigIntegerToBase64url(e),
+            kid: randomBytes(8).toString("hex"),
+            use: "sig",
+            alg: "RS256"
+        }
+    }
+
+    /**
+     * Debug-log with template applied
+     * @param msg The Message to log
+     */
+    debug(msg, ...extra) {
+        log(`MinioOIDC[${this.port ?? "unknown"}]: ${msg}`, ...extra)
+    }
+
+    /**
+     * Start listening, on the same port as before when restarted
+     */
+    async start() {
+        if (!isNullOrUndefined(this._server)) {
+            return
+        }
+
+        const server = http.createServer((req, res) => this._handleRequest(req, res))
+
+        await new Promise((res, rej) => {
+            server.once("error", rej)
+            server.listen(this.port ?? this.opts.port ?? 0, "127.0.0.1", () => {
+                server.off("error", rej)
+                res()
+            })
+        })
+
+        this._server = server
+        this._destroyConnections = trackConnections(server)
+        this.port = server.address().port
+        this.debug("start: Issuer is listening")
+    }
+
+    /**
+     * Stop listening, the keys are kept so that tokens stay valid after a restart
+     */
+    async stop() {
+        if (isNullOrUndefined(this._server)) {
+            return
+        }
+
+        this.debug("stop: Called .stop() method")
+        const server = this._server
+        this._server = undefined
+        this._destroyConnections()
+
+        await new Promise(res => server.close(() => res()))
+    }
+
+    /**
+     * Get the Issuer URL ("iss" of the tokens)
+     */
+    getIssuer() {
+        return `http://127.0.0.1:${this.port}`
+    }
+
+    /**
+     * Get the URL of the discovery document, which minio is configured with
+     */
+    getConfigUrl() {
+        return `${this.getIssuer()}${DISCOVERY_PATH}`
+    }
+
+    /**
+     * Get the options minio needs to trust the issuer
+     * @returns "configUrl", "clientId", "claimName" and "scopes"
+     */
+    getConnectionInfo() {
+        return {
+            configUrl: this.getConfigUrl(),
+            clientId: this.opts.clientId,
+            claimName: this.opts.claimName,
+            scopes: this.opts.scopes
+        }
+    }
+
+    /**
+     * Get the discovery document
+     */
+    getDiscoveryDocument() {
+        const issuer = this.getIssuer()
+
+        return {
+            issuer,
+            jwks_uri: `${issuer}${JWKS_PATH}`,
+            // minio only uses the keys, but some parsers need these endpoints to exist
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            response_types_supported: ["id_token"],
+            subject_types_supported: ["public"],
+            id_token_signing_alg_values_supported: ["RS256"],
+            scopes_supported: this.opts.scopes,
+            claims_supported: ["iss", "sub", "aud", "azp", "exp", "iat", this.opts.claimName]
+        }
+    }
+
+    /**
+     * Get the JSON Web Key Set with the public signing key
+     */
+    getJwks() {
+        return {keys: [this._jwk]}
+    }
+
+    /**
+     * Mint a signed ID token
+     * @param claims Claims to add (or overwrite), like "{ policy: 'readwrite' }" or "{ exp: 0 }" for a expired token
+     * @param options "expiresIn" in seconds
+     * @returns The token as compact JWT
+     */
+    mintToken(claims = {}, options = {}) {
+        const now = Math.floor(Date.now() / 1000)
+        const payload = {
+            iss: this.getIssuer(),
+            sub: `minio-tst-${randomBytes(6).toString("hex")}`,
+            aud: this.opts.clientId,
+            azp: this.opts.clientId,
+            iat: now,
+            exp: now + (options.expiresIn ?? DEFAULT_TOKEN_EXPIRY),
+            ...claims
+        }
+
+        const signingInput = `${base64url({alg: "RS256", typ: "JWT", kid: this._jwk.kid})}.${base64url(payload)}`
+        const signature = sign("sha256", Buffer.from(signingInput), this._privateKey)
+
+        return `${signingInput}.${base64url(signature)}`
+    }
+
+    /**
+     * Serve the discovery document and the keys
+     * @param req The Request
+     * @param res The Response
+     * @private
+     */
+    _handleRequest(req, res) {
+        const pathname = new URL(req.url, this.getIssuer()).pathname
+        this.debug(`_handleRequest: ${req.method} ${pathname}`)
+
+        const routes = {
+            [DISCOVERY_PATH]: () => this.getDiscoveryDocument(),
+            [JWKS_PATH]: () => this.getJwks()
+        }
+        const route = routes[pathname]
+
+        if (req.method !== "GET" || isNullOrUndefined(route)) {
+            res.writeHead(404).end()
+
+            return
+        }
+
+        res.writeHead(200, {"content-type": "application/json"}).end(JSON.stringify(route()))
+    }
+}
+
+module.exports = {
+    MinioOIDC
+}
@@ -1,21 +1,69 @@
 const getPort = require("get-port");
 const {
     assertion,
-    generateDbName,
-    uriTemplate,
+    endpointTemplate,
     isNullOrUndefined,
+    checkBinaryPermissions,
     authDefault,
     statPath,
     createTmpDir,
-    removeDir
+    removeDir,
+    copyDir,
+    validateCredentials,
+    mkdir,
+    isAlive
 } = require("./utils");
 const {MinioInstance} = require("./MinioInstance");
+const {MinioAdmin} = require("./MinioAdmin");
+const {MinioBinary, MinioBinaryNames} = require("./MinioBinary");
+const minioBinary = new MinioBinary();
+const {provisionBuckets, seedObjects, resetData} = require("./fixtures");
+const {
+    DriveFailureModes,
+    failDrive,
+    restoreDrive,
+    findShardFiles,
+    corruptShardFile,
+    hashFile,
+    waitForHealed
+} = require("./faults");
+const {generateCA, generateCertificate, writeCertsDir} = require("./certificates");
+const {accessKeyExpiration, inlinePolicy, normalizePolicy} = require("./iam");
+const {assumeRole, stsRequest} = require("./sts");
+const {MinioOIDC} = require("./MinioOIDC");
+const {MinioEvents} = require("./MinioEvents");
+const {MinioAudit} = require("./MinioAudit");
+const {MinioLogs} = require("./MinioLogs");
+const {METRICS_AUTH_TYPES, METRICS_SCOPES, diffMetrics, scrapeMetrics} = require("./metrics");
+const {
+    DEFAULT_REGION,
+    authObjectEnable,
+    connectionInfo,
+    createClient,
+    instanceEndpoint,
+    rootCredentials
+} = require("./connection");
 const debug = require("debug");
 const {EventEmitter} = require("events");
-const {promises: fspromises} = require("fs");
-const Minio = require('minio');
-const {EnsureInstanceError, StateError} = require("./errors");
+const {
+    ConsoleDisabledError,
+    EnsureInstanceError,
+    FeatureDisabledError,
+    InvalidDrivesError,
+    InvalidEncryptionKeyError,
+    InvalidSnapshotNameError,
+    McCommandError,
+    OidcDisabledError,
+    SnapshotNotFoundError,
+    StateError,
+    TlsDisabledError,
+    UnknownDriveError
+} = require("./errors");
 const os = require("os");
+const path = require("path");
+const {randomBytes} = require("crypto");
+const {spawn} = require("child_process");
+const {promises: fspromises} = require("fs");
 
 
 const log = debug("MinioTST:MinioServer")
@@ -46,6 +94,30 @@ class MinioServer extends EventEmitter {
      * The Current State of this instance
      */
     _state = MinioServerStates.new
+    /**
+     * Drives failed with "failDrive", index -> mode
+     */
+    _failedDrives = new Map()
+    /**
+     * Drives restored empty, which are waited for in "waitForHeal"
+     */
+    _healingDrives = new Set()
+    /**
+     * Shards corrupted with "corruptShard", "bucket/key" -> file & hash after corruption
+     */
+    _corruptedShards = new Map()
+    /**
+     * Users, groups and policies created with "createUser", "createGroup" and "attachPolicy", removed on "stop"
+     */
+    _iamFixtures = emptyIamFixtures()
+    /** The OIDC issuer for "instance.oidc", "undefined" when not enabled */
+    _oidc = undefined
+    /** The Receiver for "instance.events", "undefined" when not enabled */
+    _events = undefined
+    /** The Collector for "instance.audit", "undefined" when not enabled */
+    _audit = undefined
+    /** The Log collector for "instance.logs", "undefined" when not enabled */
+    _logs = undefined
 
     /**
      * Create a Minio-Test-Server Instance
@@ -55,11 +127,8 @@ class MinioServer extends EventEmitter {
         super()
         this.opts = {...opts}
 
-        // TODO: consider changing this to not be set if "instance.auth" is false in 9.0
-        if (!isNullOrUndefined(this.opts.auth)) {
-            // assign defaults
-            this.auth = authDefault(this.opts.auth)
-        }
+        // always assign defaults, so that every instance gets its own random root credentials
+        this.auth = authDefault(this.opts.auth ?? {})
     }
 
     /**
@@ -127,6 +196,10 @@ class MinioServer extends EventEmitter {
             this.debug("_startUpInstance threw a Error: ", err)
 
             await this.stop({doCleanup: false, force: false}) // still try to close the instance that was spawned, without cleanup for investigation
+            // "stop" does nothing if the instance was never created
+            await this._oidc?.stop()
+            await this._events?.stop()
+            await this._audit?.stop()
 
             this.stateChange(MinioServerStates.stopped)
 
@@ -172,6 +245,28 @@ class MinioServer extends EventEmitter {
         return newPort
     }
 
+    /**
+     * Find a new unlocked port for the console, which is not the same as the api port
+     * @param apiPort The port used for the api
+     * @param forceSamePort Use "instance.consolePort" without checking, if defined
+     */
+    async getNewConsolePort(apiPort, forceSamePort = false) {
+        const consolePort = this.opts.instance?.consolePort
+
+        if (forceSamePort && typeof consolePort === "number") {
+            return consolePort
+        }
+
+        let newPort = await this.getNewPort(consolePort)
+
+        // "get-port" already avoids returning the same port twice, but a user defined "port" is not locked by it
+        while (newPort === apiPort) {
+            newPort = await this.getNewPort()
+        }
+
+        return newPort
+    }
+
     /**
      * Construct Instance Starting Options
      */
@@ -179,10 +274,6 @@ class MinioServer extends EventEmitter {
         this.debug(`getStartOptions: forceSamePort: ${forceSamePort}`)
         /** Shortcut to this.opts.instance */
         const instOpts = this.opts.instance ?? {}
-        /**
-         * This variable is used for determining if "createAuth" should be run
-         */
-        let isNew = true
 
         // use pre-defined port if available, otherwise generate a new port
         let port = typeof instOpts.port === "number" ? instOpts.port : undefined
@@ -192,53 +283,125 @@ class MinioServer extends EventEmitter {
             port = await this.getNewPort(port)
         }
 
+        // the console can be disabled with "instance.console: false", otherwise it gets its own port like the api
+        let consolePort = undefined
+
+        if (instOpts.console !== false) {
+            consolePort = await this.getNewConsolePort(port, forceSamePort)
+        }
+
+        const enableAuth = this.authEnabled()
+
         // consider directly using "this.opts.instance", to pass through all options, even if not defined in "StartupInstanceData"
         const data = {
             port: port,
-            // dbName: generateDbName(instOpts.dbName),
             dataPath: instOpts.dataPath,
             ip: instOpts.ip ?? "127.0.0.1",
+            region: instOpts.region ?? DEFAULT_REGION,
+            consolePort: consolePort,
             tmpDir: undefined,
             keyfileLocation: instOpts.keyfileLocation,
-            launchTimeout: instOpts.launchTimeout
+            launchTimeout: instOpts.launchTimeout,
+            waitStrategy: instOpts.waitStrategy,
+            // "undefined" when auth is disabled, so that minio falls back to its default credentials
+            rootUser: enableAuth ? this.auth.customRootName : undefined,
+            rootPassword: enableAuth ? this.auth.customRootPwd : undefined,
+            metricsAuth: instOpts.metricsAuth ?? "jwt"
         }
 
-        if (isNullOrUndefined(this._instanceInfo)) {
-            // create a tmpDir instance if no "dataPath" is given
-            if (!data.dataPath) {
-                data.tmpDir = await createTmpDir("minio-tst-")
-                data.dataPath = data.tmpDir
+        assertion(
+            METRICS_AUTH_TYPES.includes(data.metricsAuth),
+            new Error(`"instance.metricsAuth" is required to be one of "${METRICS_AUTH_TYPES.join('", "')}"`)
+        )
 
-                isNew = true // just to ensure "isNew" is "true" because a new temporary directory got created
-            } else {
-                this.debug(
-                    `getStartOptions: Checking if "${data.dataPath}}" (no new tmpDir) already has data`
-                )
-                const files = await fspromises.readdir(data.dataPath)
+        const explicitDrives = Array.isArray(instOpts.drives)
+        const driveCount = explicitDrives ? instOpts.drives.length : instOpts.drives ?? 1
+
+        assertion(
+            Number.isInteger(driveCount) && driveCount >= 1,
+            new InvalidDrivesError(instOpts.drives)
+        )
+
+        if (!!instOpts.encryption) {
+            data.encryption = encryptionDefault(instOpts.encryption)
+        }
 
-                isNew = files.length === 0 // if there are no files in the directory, assume that the database is new
+        // create a tmpDir instance if no "dataPath" is given (explicit drives do not need a "dataPath")
+        if (isNullOrUndefined(this._instanceInfo) && !data.dataPath && !explicitDrives) {
+            data.tmpDir = await createTmpDir("minio-tst-")
+            data.dataPath = data.tmpDir
+        }
+
+        if (explicitDrives) {
+            data.drivePaths = instOpts.drives.map(drive => path.resolve(drive))
+            data.drives = data.drivePaths
+        } else if (driveCount > 1) {
+            // the drives are created inside of "dataPath" and passed with a erasure-set expansion, like "drive{1...4}"
+            data.drivePaths = []
+
+            for (let i = 1; i <= driveCount; i++) {
+                data.drivePaths.push(path.join(data.dataPath, `drive${i}`))
             }
+
+            data.drives = [path.join(data.dataPath, `drive{1...${driveCount}}`)]
         } else {
-            isNew = false
+            data.drivePaths = [data.dataPath]
+            data.drives = [data.dataPath]
         }
 
-        const enableAuth =
-            (typeof instOpts.auth === "boolean" ? instOpts.auth : true) && // check if auth is even meant to be enabled
-            this.authObjectEnable()
+        for (const drivePath of data.drivePaths) {
+            await mkdir(drivePath)
+        }
 
-        const createAuth =
-            enableAuth && // re-use all the checks from "enableAuth"
-            !isNullOrUndefined(this.auth) && // needs to be re-checked because typescript complains
-            (this.auth.force || isNew) // check that either "isNew" or "this.auth.force" is "true"
+        // multi-drive setups are only ready once the erasure sets have quorum
+        data.readiness = {
+            cluster: data.drivePaths.length > 1,
+            ...instOpts.readiness
+        }
+
+        // "mtls" requires https, so it implies "tls"
+        if (!!instOpts.tls || !!instOpts.mtls) {
+            // the certificates are kept out of "dataPath", because minio would see the directory as a bucket
+            data.certsDir = instOpts.certsDir ?? (await createTmpDir("minio-tst-certs-"))
+            data.certsTmpDir = isNullOrUndefined(instOpts.certsDir) ? data.certsDir : undefined
+
+            const ca = generateCA()
+            await writeCertsDir(data.certsDir, ca, generateCertificate(ca))
+            this._certificateAuthority = ca
+            data.tls = {ca: ca.cert}
+            data.mtls = !!instOpts.mtls
+        }
+
+        /** The Options of a helper, "true" enables it with the defaults */
+        const helperOpts = value => (typeof value === "object" ? value : {})
+
+        if (!!instOpts.oidc) {
+            data.oidc = await this._startHelper("_oidc", () => new MinioOIDC(helperOpts(instOpts.oidc)))
+        }
+
+        if (!!instOpts.events) {
+            data.events = await this._startHelper("_events", () => new MinioEvents(this, helperOpts(instOpts.events)))
+        }
+
+        if (!!instOpts.audit) {
+            data.audit = await this._startHelper("_audit", () => new MinioAudit(helperOpts(instOpts.audit)))
+        }
+
+        if (!!instOpts.logs) {
+            // like the helpers, the buffer is kept across restarts
+            if (isNullOrUndefined(this._instanceInfo) || isNullOrUndefined(this._logs)) {
+                this._logs = new MinioLogs(helperOpts(instOpts.logs))
+            }
+
+            data.logs = this._logs
+        }
 
         return {
             data: data,
-            createAuth: createAuth,
             minioOptions: {
                 instance: {
                     ...data,
-                    args: instOpts.args,
-                    auth: enableAuth
+                    args: instOpts.args
                 },
                 binary: this.opts.binary,
                 spawn: this.opts.spawn
@@ -246,6 +409,25 @@ class MinioServer extends EventEmitter {
         }
     }
 
+    /**
+     * Start a in-process helper minio connects to (like the OIDC issuer or the webhook receivers)
+     * They need to be reachable before minio starts, otherwise minio fails fetching the discovery document or marks the target offline
+     * Only a fresh start creates a new helper, so that issued tokens and received entries survive restarts
+     * @param field The Property the helper is kept in, like "_oidc"
+     * @param create Function to create the helper
+     * @returns The Connection info of the helper for minio
+     * @private
+     */
+    async _startHelper(field, create) {
+        if (isNullOrUndefined(this._instanceInfo) || isNullOrUndefined(this[field])) {
+            this[field] = create()
+        }
+
+        await this[field].start()
+
+        return this[field].getConnectionInfo()
+    }
+
     /**
      * Internal Function to start an instance
      * @param forceSamePort Force to use the Same Port, if already an "instanceInfo" exists
@@ -265,25 +447,32 @@ class MinioServer extends EventEmitter {
                 const newPort = await this.getNewPort(this._instanceInfo.port)
                 this._instanceInfo.instance.instanceOpts.port = newPort
                 this._instanceInfo.port = newPort
+
+                if (!isNullOrUndefined(this._instanceInfo.consolePort)) {
+                    const newConsolePort = await this.getNewConsolePort(newPort)
+                    this._instanceInfo.instance.instanceOpts.consolePort = newConsolePort
+                    this._instanceInfo.consolePort = newConsolePort
+                }
             }
 
+            await this._oidc?.start()
+            await this._events?.start()
+            await this._audit?.start()
             await this._instanceInfo.instance.start()
 
             return
         }
 
-        const {minioOptions, createAuth, data} = await this.getStartOptions(
-            forceSamePort
-        )
+        const {minioOptions, data} = await this.getStartOptions(forceSamePort)
         this.debug(
             `_startUpInstance: Creating new Minio instance with options:`,
-            minioOptions
+            redactOptions(minioOptions)
         )
 
         const minioInstance = new MinioInstance(minioOptions);
         const instance = await minioInstance.create(minioOptions)
         this.debug(
-            `_startUpInstance: Instance Started, createAuth: "${createAuth}"`
+            `_startUpInstance: Instance Started, auth enabled: "${!isNullOrUndefined(data.rootUser)}"`
         )
 
         this._instanceInfo = {
@@ -291,38 +480,49 @@ class MinioServer extends EventEmitter {
             instance
         }
 
-        // always set the "extraConnectionOptions" when "auth" is enabled, regardless of if "createAuth" gets run
-        if (
-            this.authObjectEnable() &&
-            minioOptions.instance?.auth === true &&
-            !isNullOrUndefined(this.auth) // extra check again for typescript, because it cant reuse checks from "enableAuth" yet
-        ) {
-            instance.extraConnectionOptions = {
-                authSource: "admin",
-                authMechanism: "SCRAM-SHA-256",
-                auth: {
-                    username: this.auth.customRootName,
-                    password: this.auth.customRootPwd
-                }
-            }
-        }
+        await this._provisionInstance()
+    }
 
-        // "isNullOrUndefined" because otherwise typescript complains about "this.auth" possibly being not defined
-        if (!isNullOrUndefined(this.auth) && createAuth) {
+    /**
+     * Internal Function to create all the configured fixtures on a newly started instance
+     * @private
+     */
+    async _provisionInstance() {
+        const instOpts = this.opts.instance ?? {}
+
+        if (Array.isArray(instOpts.buckets) && instOpts.buckets.length > 0) {
             this.debug(
-                `_startUpInstance: Running "createAuth" (force: "${this.auth.force}")`
+                `_provisionInstance: Provisioning ${instOpts.buckets.length} buckets`
             )
-            // await this.createAuth(data)
-        } else {
-            // extra "if" to log when "disable" is set to "true"
-            if (this.opts.auth?.disable) {
-                this.debug(
-                    '_startUpInstance: AutomaticAuth.disable is set to "true" skipping "createAuth"'
-                )
+            await provisionBuckets(this.getClient(), instOpts.buckets, this.getRegion())
+        }
+
+        // before seeding, so that the seeded objects already create events
+        for (const bucket of instOpts.events?.buckets ?? []) {
+            await this._events.subscribe(bucket)
+        }
+
+        if (!isNullOrUndefined(instOpts.seed)) {
+            const sources = Array.isArray(instOpts.seed) ? instOpts.seed : [instOpts.seed]
+
+            for (const source of sources) {
+                await this.seed(source)
             }
         }
     }
 
+    /**
+     * Upload objects from a fixtures directory or a manifest into the running instance
+     * @param source Either a path to a directory (top-level directories are buckets) / JSON / YAML manifest, or a manifest object
+     * @throws if state is not "running" (or "starting")
+     * @returns All uploaded object versions
+     */
+    async seed(source) {
+        this.debug("seed: Called .seed() method")
+
+        return seedObjects(this.getClient(), source, this.getRegion())
+    }
+
     async stop(cleanupOptions) {
         this.debug("stop: Called .stop() method")
 
@@ -347,23 +547,40 @@ class MinioServer extends EventEmitter {
             return false
         }
 
+        // the admin API is only available while running, and kept data (custom "dataPath"s or no cleanup) would keep the fixtures
+        if (this._state === MinioServerStates.running && isAlive(this._instanceInfo.instance?.minioProcess?.pid)) {
+            await this._removeIamFixtures()
+        }
+
+        await this._stopInstance()
+
+        if (cleanup.doCleanup) {
+            await this.cleanup(cleanup)
+        }
+
+        return true
+    }
+
+    /**
+     * Stop the process and the helpers (like "oidc"), without touching IAM fixtures or data
+     * Used by "stop" and for restarts, see "_withStoppedInstance"
+     * @private
+     */
+    async _stopInstance() {
         if (this._state === MinioServerStates.stopped) {
-            this.debug('stop: state is "stopped", trying to stop / kill anyway')
+            this.debug('_stopInstance: state is "stopped", trying to stop / kill anyway')
         }
 
         this.debug(
             // "undefined" would say more than ""
-            `stop: Stopping Minio server on port ${this._instanceInfo.port} with pid ${this._instanceInfo.instance?.minioProcess?.pid}`
+            `_stopInstance: Stopping Minio server on port ${this._instanceInfo.port} with pid ${this._instanceInfo.instance?.minioProcess?.pid}`
         )
         await this._instanceInfo.instance.stop()
+        await this._oidc?.stop()
+        await this._events?.stop()
+        await this._audit?.stop()
 
         this.stateChange(MinioServerStates.stopped)
-
-        if (cleanup.doCleanup) {
-            await this.cleanup(cleanup)
-        }
-
-        return true
     }
 
     async cleanup(options) {
@@ -412,15 +629,30 @@ class MinioServer extends EventEmitter {
             await removeDir(tmpDir)
         }
 
+        const certsTmpDir = this._instanceInfo.certsTmpDir
+
+        if (!isNullOrUndefined(certsTmpDir)) {
+            this.debug(`cleanup: removing certificates at ${certsTmpDir}`)
+            await removeDir(certsTmpDir)
+        }
+
         if (cleanup.force) {
-            const dataPath = this._instanceInfo.dataPath
-            const res = await statPath(dataPath)
+            // "dataPath" first, because it may contain the drives
+            const paths = new Set(
+                [this._instanceInfo.dataPath, ...(this._instanceInfo.drivePaths ?? [])]
+                    .filter(dataPath => !isNullOrUndefined(dataPath))
+            )
+
+            for (const dataPath of paths) {
+                const res = await statPath(dataPath)
+
+                if (isNullOrUndefined(res)) {
+                    this.debug(
+                        `cleanup: force is true, but path "${dataPath}" dosnt exist anymore`
+                    )
+                    continue
+                }
 
-            if (isNullOrUndefined(res)) {
-                this.debug(
-                    `cleanup: force is true, but path "${dataPath}" dosnt exist anymore`
-                )
-            } else {
                 assertion(
                     res.isDirectory(),
                     new Error("Defined dataPath is not a directory")
@@ -430,6 +662,29 @@ class MinioServer extends EventEmitter {
             }
         }
 
+        if (this._snapshotDir?.isTmp) {
+            this.debug(`cleanup: removing snapshot store at ${this._snapshotDir.path}`)
+            await removeDir(this._snapshotDir.path)
+            this._snapshotDir = undefined
+        }
+
+        this._failedDrives.clear()
+        this._healingDrives.clear()
+        this._corruptedShards.clear()
+        this._certificateAuthority = undefined
+        // the fixtures can only be removed while running (see "stop"), a kept "dataPath" still contains them
+        this._iamFixtures = emptyIamFixtures()
+        this._oidc = undefined
+        this._events = undefined
+        this._audit = undefined
+        this._logs = undefined
+
+        if (!isNullOrUndefined(this._mcConfigDir)) {
+            this.debug(`cleanup: removing mc config at ${this._mcConfigDir}`)
+            await removeDir(this._mcConfigDir)
+            this._mcConfigDir = undefined
+        }
+
         this.stateChange(MinioServerStates.new) // reset "state" to new, because the dataPath got removed
         this._instanceInfo = undefined
     }
@@ -448,6 +703,46 @@ class MinioServer extends EventEmitter {
         return this._state
     }
 
+    /**
+     * Get the OIDC issuer minio trusts, to mint tokens with "server.oidc.mintToken(claims)"
+     * @throws {OidcDisabledError} if "instance.oidc" is not enabled
+     */
+    get oidc() {
+        assertion(!isNullOrUndefined(this._oidc), new OidcDisabledError())
+
+        return this._oidc
+    }
+
+    /**
+     * Get the receiver of bucket notifications, with the received "events" and "waitForEvent"
+     * @throws {FeatureDisabledError} if "instance.events" is not enabled
+     */
+    get events() {
+        assertion(!isNullOrUndefined(this._events), new FeatureDisabledError("events"))
+
+        return this._events
+    }
+
+    /**
+     * Get the collector of the audit log, with the received "entries(filter)" and "waitForEntry"
+     * @throws {FeatureDisabledError} if "instance.audit" is not enabled
+     */
+    get audit() {
+        assertion(!isNullOrUndefined(this._audit), new FeatureDisabledError("audit"))
+
+        return this._audit
+    }
+
+    /**
+     * Get the collector of the JSON logs, with the buffered "entries", "find(predicate)" and "errors()"
+     * @throws {FeatureDisabledError} if "instance.logs" is not enabled
+     */
+    get logs() {
+        assertion(!isNullOrUndefined(this._logs), new FeatureDisabledError("logs"))
+
+        return this._logs
+    }
+
     /**
      * Ensure that the instance is running
      * -> throws if instance cannot be started
@@ -512,35 +807,776 @@ class MinioServer extends EventEmitter {
     }
 
     /**
-     * Generate the Connection string used by mongodb
-     * @param otherDb add a database into the uri (in mongodb its the auth database, in mongoose its the default database for models)
-     * @param otherIp change the ip in the generated uri, default will otherwise always be "127.0.0.1"
+     * Get the S3 Endpoint of the running instance
+     * @param otherIp change the ip in the generated endpoint, default will otherwise always be "127.0.0.1"
      * @throws if state is not "running" (or "starting")
      * @throws if a server doesnt have "instanceInfo.port" defined
-     * @returns a valid mongo URI, by the definition of https://docs.mongodb.com/manual/reference/connection-string/
+     * @returns a endpoint like "http://127.0.0.1:port"
+     */
+    getEndpoint(otherIp) {
+        this.debug("getEndpoint:", this.state, otherIp)
+
+        assertionIsRunningOrStarting(this.state)
+        assertionInstanceInfo(this._instanceInfo)
+
+        return instanceEndpoint(this._instanceInfo, otherIp)
+    }
+
+    /**
+     * Get the URL of the web console of the running instance
+     * @param otherIp change the ip in the generated url, default will otherwise always be "127.0.0.1"
+     * @throws if state is not "running" (or "starting")
+     * @throws {ConsoleDisabledError} if the console is disabled with "instance.console: false"
+     * @returns a url like "http://127.0.0.1:consolePort"
+     */
+    getConsoleUrl(otherIp) {
+        this.debug("getConsoleUrl:", this.state, otherIp)
+
+        assertionIsRunningOrStarting(this.state)
+        assertionInstanceInfo(this._instanceInfo)
+        assertion(
+            !isNullOrUndefined(this._instanceInfo.consolePort),
+            new ConsoleDisabledError()
+        )
+
+        return endpointTemplate(
+            otherIp || "127.0.0.1",
+            this._instanceInfo.consolePort,
+            !isNullOrUndefined(this._instanceInfo.tls)
+        )
+    }
+
+    /**
+     * Issue a client certificate signed by the instance CA, for "AssumeRoleWithCertificate"
+     * minio maps the certificate to the policy named like its Common Name
+     * @param policyName The Policy the certificate identity gets (like "readwrite")
+     * @param options "validityDays" of the certificate
+     * @throws {TlsDisabledError} if "instance.mtls" is not enabled
+     * @returns The certificate and key as PEM
+     */
+    issueClientCertificate(policyName, options = {}) {
+        this.debug(`issueClientCertificate: Called .issueClientCertificate("${policyName}") method`)
+        assertionInstanceInfo(this._instanceInfo)
+        assertion(
+            !!this._instanceInfo.mtls && !isNullOrUndefined(this._certificateAuthority),
+            new TlsDisabledError("mtls")
+        )
+        assertion(
+            typeof policyName === "string" && policyName.length > 0,
+            new Error('"policyName" is required to be a non-empty string')
+        )
+
+        return generateCertificate(this._certificateAuthority, {
+            commonName: policyName,
+            clientAuth: true,
+            validityDays: options.validityDays
+        })
+    }
+
+    /**
+     * Get the CA certificate the instance certificate is signed with, to be trusted by clients
+     * @throws {TlsDisabledError} if "instance.tls" is not enabled
+     * @returns The CA certificate as PEM
+     */
+    getCA() {
+        assertionInstanceInfo(this._instanceInfo)
+        assertion(!isNullOrUndefined(this._instanceInfo.tls), new TlsDisabledError())
+
+        return this._instanceInfo.tls.ca
+    }
+
+    /**
+     * Get the Credentials to use for the S3 API of the instance
+     * @returns The "accessKey" and "secretKey" of the root user
+     */
+    getCredentials() {
+        const rootUser = this._instanceInfo
+            ? this._instanceInfo.rootUser
+            : this.authEnabled()
+                ? this.auth.customRootName
+                : undefined
+
+        return rootCredentials(rootUser, this._instanceInfo?.rootPassword ?? this.auth.customRootPwd)
+    }
+
+    /**
+     * Get the Region the instance is configured with
+     */
+    getRegion() {
+        return this._instanceInfo?.region ?? this.opts.instance?.region ?? DEFAULT_REGION
+    }
+
+    /**
+     * Get everything needed to connect a S3 client to the instance
+     * @param otherIp change the ip in the generated endpoint, default will otherwise always be "127.0.0.1"
+     * @throws if state is not "running" (or "starting")
+     */
+    getConnectionInfo(otherIp) {
+        assertionIsRunningOrStarting(this.state)
+        assertionInstanceInfo(this._instanceInfo)
+
+        return connectionInfo(this._instanceInfo, this.getCredentials(), this.getRegion(), otherIp)
+    }
+
+    /**
+     * Create a user, with policies and group memberships
+     * @param options "accessKey" / "secretKey" (random by default), "policies" (see "attachPolicy") and "groups" to add the user to
+     * @throws if state is not "running" (or "starting")
+     * @returns The Credentials of the user and the names of its policies and groups
+     */
+    async createUser(options = {}) {
+        this.debug("createUser: Called .createUser() method")
+        const admin = this.getAdmin()
+        const accessKey = options.accessKey ?? `minio-tst-user-${randomBytes(6).toString("hex")}`
+        const secretKey = options.secretKey ?? randomBytes(20).toString("hex")
+        validateCredentials(accessKey, secretKey)
+        // normalize before creating anything, so that invalid definitions do not leave a half-created user
+        const policyDefinitions = (options.policies ?? []).map(normalizePolicy)
+
+        await admin.addUser(accessKey, secretKey)
+        this._iamFixtures.users.add(accessKey)
+
+        const policies = await this._createPolicies(policyDefinitions)
+
+        if (policies.length > 0) {
+            await admin.attachPolicy(policies, {user: accessKey})
+        }
+
+        const groups = options.groups ?? []
+
+        for (const group of groups) {
+            await admin.updateGroupMembers(group, [accessKey])
+            this._trackGroupMembers(group, [])
+        }
+
+        return {accessKey, secretKey, policies, groups}
+    }
+
+    /**
+     * Create a group, with policies and members
+     * @param options "name" (random by default), "members" (access keys of existing users) and "policies" (see "attachPolicy")
+     * @throws if state is not "running" (or "starting")
+     * @returns The name of the group and its members and policies
+     */
+    async createGroup(options = {}) {
+        this.debug("createGroup: Called .createGroup() method")
+        const admin = this.getAdmin()
+        const name = options.name ?? `minio-tst-group-${randomBytes(6).toString("hex")}`
+        const members = options.members ?? []
+        const policyDefinitions = (options.policies ?? []).map(normalizePolicy)
+
+        await admin.updateGroupMembers(name, members)
+        this._trackGroupMembers(name, members)
+
+        const policies = await this._createPolicies(policyDefinitions)
+
+        if (policies.length > 0) {
+            await admin.attachPolicy(policies, {group: name})
+        }
+
+        return {name, members, policies}
+    }
+
+    /**
+     * Attach a policy to a user or group
+     * @param policy The name of a existing policy (like "readwrite"), a policy document (with "Statement"), or "{ bucket, prefix, access }" for access to only one bucket / prefix
+     * @param target Either "{ user }" or "{ group }"
+     * @throws if state is not "running" (or "starting")
+     * @returns The name of the policy
+     */
+    async attachPolicy(policy, target) {
+        this.debug("attachPolicy: Called .attachPolicy() method", target)
+        assertion(
+            !isNullOrUndefined(target?.user) || !isNullOrUndefined(target?.group),
+            new Error('"target" is required to have "user" or "group"')
+        )
+
+        const [name] = await this._createPolicies([normalizePolicy(policy)])
+        await this.getAdmin().attachPolicy([name], target)
+
+        return name
+    }
+
+    /**
+     * Create a access key (service account) for a user, which gets revoked on "stop"
+     * @param options "parentUser" (default is the root user), "policy" (a policy document or "{ bucket, prefix, access }", restricting the parent user's permissions), "expiresIn" (in ms, or a "Date", at most 365 days), "accessKey" / "secretKey" (generated by minio by default), "name" and "description"
+     * @throws if state is not "running" (or "starting")
+     * @returns The "accessKey", "secretKey", "expiration" ("Date" or "undefined") and "parentUser"
+     */
+    async createAccessKey(options = {}) {
+        this.debug("createAccessKey: Called .createAccessKey() method")
+        const parentUser = options.parentUser ?? this.getCredentials().accessKey
+        const expiration = accessKeyExpiration(options.expiresIn)
+
+        const credentials = await this.getAdmin().addServiceAccount({
+            targetUser: parentUser,
+            policy: inlinePolicy(options.policy),
+            accessKey: options.accessKey,
+            secretKey: options.secretKey,
+            name: options.name,
+            description: options.description,
+            expiration
+        })
+        this._iamFixtures.accessKeys.add(credentials.accessKey)
+
+        return {
+            accessKey: credentials.accessKey,
+            secretKey: credentials.secretKey,
+            expiration,
+            parentUser
+        }
+    }
+
+    /**
+     * Revoke a access key before it expires
+     * @param accessKey The Access Key returned by "createAccessKey"
+     * @throws if state is not "running" (or "starting")
+     */
+    async revokeAccessKey(accessKey) {
+        this.debug(`revokeAccessKey: Called .revokeAccessKey() method for "${accessKey}"`)
+        await this.getAdmin().deleteServiceAccount(accessKey)
+        this._iamFixtures.accessKeys.delete(accessKey)
+    }
+
+    /**
+     * Get temporary credentials (with a session token) for a user with STS "AssumeRole"
+     * @param options "user" (the credentials returned by "createUser", default is the root user), "policy" (a policy document or "{ bucket, prefix, access }", restricting the user's permissions) and "durationSeconds" (at least 900, default 3600)
+     * @throws if state is not "running" (or "starting")
+     * @returns The "accessKey", "secretKey", "sessionToken" and "expiration" ("Date")
+     */
+    async assumeRole(options = {}) {
+        this.debug("assumeRole: Called .assumeRole() method")
+        const root = this.getCredentials()
+        let user = options.user ?? root
+
+        // the root user can be given by name, other users need the secret key to sign the request
+        if (user === root.accessKey) {
+            user = root
+        }
+
+        assertion(
+            typeof user?.accessKey === "string" && typeof user?.secretKey === "string",
+            new Error('"user" is required to be "{ accessKey, secretKey }" (like returned by "createUser")')
+        )
+
+        return assumeRole(
+            this.getConnectionInfo(),
+            {accessKey: user.accessKey, secretKey: user.secretKey},
+            {durationSeconds: options.durationSeconds, policy: inlinePolicy(options.policy)}
+        )
+    }
+
+    /**
+     * Get temporary credentials for a OIDC token with STS "AssumeRoleWithWebIdentity"
+     * @param token The ID token, like minted by "server.oidc.mintToken"
+     * @param options "policy" (a policy document or "{ bucket, prefix, access }", restricting the permissions of the token's policies) and "durationSeconds" (at least 900, default is the token expiry)
+     * @throws if state is not "running" (or "starting")
+     * @returns The "accessKey", "secretKey", "sessionToken" and "expiration" ("Date")
+     */
+    async assumeRoleWithWebIdentity(token, options = {}) {
+        this.debug("assumeRoleWithWebIdentity: Called .assumeRoleWithWebIdentity() method")
+        const policy = inlinePolicy(options.policy)
+
+        // the token is the authentication, so the request is not signed
+        return stsRequest(this.getConnectionInfo(), {
+            Action: "AssumeRoleWithWebIdentity",
+            WebIdentityToken: token,
+            DurationSeconds: options.durationSeconds,
+            Policy: isNullOrUndefined(policy) ? undefined : JSON.stringify(policy)
+        })
+    }
+
+    /**
+     * Scrape and parse the Prometheus metrics of the instance
+     * Use "server.metrics.diff(before, after)" to get what changed in between, like the S3 requests per api
+     * @param options "scopes" to scrape (default "cluster", "node", "bucket" and "requests")
+     * @throws if state is not "running" (or "starting")
+     * @returns The parsed metrics per scope (see "parseMetrics"), and the "time" of the scrape
+     */
+    async metrics(options = {}) {
+        this.debug("metrics: Called .metrics() method")
+        const connectionInfo = this.getConnectionInfo()
+        // with public auth no token is needed, otherwise the root user is always allowed to scrape
+        const credentials = this._instanceInfo.metricsAuth === "public" ? undefined : this.getCredentials()
+
+        return scrapeMetrics(connectionInfo, credentials, options.scopes ?? METRICS_SCOPES)
+    }
+
+    /**
+     * Create all policies which are not just names
+     * @param policies The normalized Policy definitions (see "normalizePolicy")
+     * @returns The names of all policies
+     * @private
+     */
+    async _createPolicies(policies) {
+        const admin = this.getAdmin()
+        const names = []
+
+        for (const {name, document} of policies) {
+
+            if (!isNullOrUndefined(document)) {
+                await admin.addCannedPolicy(name, document)
+                this._iamFixtures.policies.add(name)
+            }
+
+            names.push(name)
+        }
+
+        return names
+    }
+
+    /**
+     * Remember a group and the members that are not removed with the users created by this class
+     * @param group The Name of the group
+     * @param members Access Keys of members
+     * @private
+     */
+    _trackGroupMembers(group, members) {
+        const tracked = this._iamFixtures.groups.get(group) ?? new Set()
+
+        for (const member of members) {
+            tracked.add(member)
+        }
+
+        this._iamFixtures.groups.set(group, tracked)
+    }
+
+    /**
+     * Remove all access keys, users, groups and policies created by this class
+     * Errors are only logged, because this runs while stopping
+     * @private
+     */
+    async _removeIamFixtures() {
+        const {accessKeys, users, groups, policies} = this._iamFixtures
+
+        if (accessKeys.size + users.size + groups.size + policies.size === 0) {
+            return
+        }
+
+        const admin = this.getAdmin()
+        const steps = [...accessKeys].map(accessKey => () => admin.deleteServiceAccount(accessKey))
+
+        // users before groups, because deleting them removes them from the groups, and groups can only be deleted when empty
+        steps.push(
+            ...[...users].map(user => () => admin.removeUser(user)),
+            ...[...groups].map(([group, members]) => async () => {
+                const others = [...members].filter(member => !users.has(member))
+
+                if (others.length > 0) {
+                    await admin.updateGroupMembers(group, others, true)
+                }
+
+                await admin.updateGroupMembers(group, [], true)
+            }),
+            ...[...policies].map(policy => () => admin.removeCannedPolicy(policy))
+        )
+
+        for (const step of steps) {
+            await step().catch(err => this.debug("_removeIamFixtures: removing failed:", err))
+        }
+
+        this._iamFixtures = emptyIamFixtures()
+    }
+
+    /**
+     * Remove all data (objects, versions, delete markers, incomplete uploads and buckets) without restarting the process
+     * @param options.keepBuckets Buckets that only get emptied, but not removed
+     * @throws if state is not "running"
+     * @returns The names of the removed buckets
+     */
+    async reset(options = {}) {
+        this.debug("reset: Called .reset() method")
+        assertionIsMMSState(MinioServerStates.running, this.state)
+
+        return resetData(this.getClient(), options)
+    }
+
+    /**
+     * Copy the "dataPath" (all drives) of the instance to the snapshot store
+     * If the instance is running, it gets stopped for the copy and restarted on the same port
+     * @param name The Name of the snapshot, a existing snapshot with the same name gets replaced
+     * @throws if state is not "running" or "stopped"
+     * @returns The Path of the snapshot
+     */
+    async snapshot(name) {
+        this.debug(`snapshot: Called .snapshot() method (name: "${name}")`)
+        const snapshotPath = await this.getSnapshotPath(name)
+
+        await this._withStoppedInstance(async () => {
+            await removeDir(snapshotPath)
+
+            // every drive is copied separately, because explicit drives can be anywhere
+            for (const [i, drivePath] of this._instanceInfo.drivePaths.entries()) {
+                await copyDir(drivePath, path.join(snapshotPath, `drive${i + 1}`))
+            }
+        })
+
+        return snapshotPath
+    }
+
+    /**
+     * Replace the "dataPath" (all drives) of the instance with a snapshot
+     * If the instance is running, it gets stopped for the copy and restarted on the same port
+     * @param name The Name of the snapshot to restore
+     * @throws {SnapshotNotFoundError} if there is no snapshot with "name"
+     * @throws if state is not "running" or "stopped"
+     */
+    async restore(name) {
+        this.debug(`restore: Called .restore() method (name: "${name}")`)
+        const snapshotPath = await this.getSnapshotPath(name)
+
+        if (isNullOrUndefined(await statPath(snapshotPath))) {
+            throw new SnapshotNotFoundError(name, snapshotPath)
+        }
+
+        await this._withStoppedInstance(async () => {
+            for (const [i, drivePath] of this._instanceInfo.drivePaths.entries()) {
+                await removeDir(drivePath)
+                await copyDir(path.join(snapshotPath, `drive${i + 1}`), drivePath)
+            }
+        })
+    }
+
+    /**
+     * Get the path a snapshot is stored at
+     * The snapshot store is "instance.snapshotDir" or a temporary directory that gets removed on "cleanup"
+     * @param name The Name of the snapshot
      */
-    getUri(otherDb, otherIp) {
-        this.debug("getUri:", this.state, otherDb, otherIp)
+    async getSnapshotPath(name) {
+        if (
+            typeof name !== "string" ||
+            name.length === 0 ||
+            name !== path.basename(name) ||
+            name === "." ||
+            name === ".."
+        ) {
+            throw new InvalidSnapshotNameError(name)
+        }
 
-        switch (this.state) {
+        if (isNullOrUndefined(this._snapshotDir)) {
+            const snapshotDir = this.opts.instance?.snapshotDir
+
+            if (!!snapshotDir) {
+                await mkdir(snapshotDir)
+                this._snapshotDir = {path: path.resolve(snapshotDir), isTmp: false}
+            } else {
+                this._snapshotDir = {
+                    path: await createTmpDir("minio-tst-snapshots-"),
+                    isTmp: true
+                }
+            }
+        }
+
+        return path.resolve(this._snapshotDir.path, name)
+    }
+
+    /**
+     * Run "fn" while the instance process is stopped, and restart it on the same port afterwards if it was running
+     * @param fn The Function to run while the process is stopped
+     * @private
+     */
+    async _withStoppedInstance(fn) {
+        switch (this._state) {
             case MinioServerStates.running:
-            case MinioServerStates.starting:
-                break
             case MinioServerStates.stopped:
+                break
             default:
                 throw new StateError(
-                    [MinioServerStates.running, MinioServerStates.starting],
+                    [MinioServerStates.running, MinioServerStates.stopped],
                     this.state
                 )
         }
 
         assertionInstanceInfo(this._instanceInfo)
 
-        return uriTemplate(
-            otherIp || "127.0.0.1",
-            this._instanceInfo.port,
-            generateDbName(otherDb)
+        const wasRunning = this._state === MinioServerStates.running
+
+        // not "stop", so that restarts keep the IAM fixtures
+        if (wasRunning) {
+            await this._stopInstance()
+        }
+
+        try {
+            await fn()
+        } finally {
+            if (wasRunning) {
+                await this.start(true)
+            }
+        }
+    }
+
+    /**
+     * Make a drive of the instance fail
+     * @param index Index of the drive in "instanceInfo.drivePaths"
+     * @param options "mode" (see "DriveFailureModes", default "remove") and "restart" to restart the instance, so that minio sees the change on startup
+     * @returns The path of the failed drive
+     */
+    async failDrive(index, options = {}) {
+        this.debug(`failDrive: Called .failDrive(${index}) method`)
+        const drivePath = this._getDrivePath(index)
+        const mode = options.mode ?? DriveFailureModes.remove
+
+        if (options.restart) {
+            await this._withStoppedInstance(() => failDrive(drivePath, mode))
+        } else {
+            await failDrive(drivePath, mode)
+        }
+
+        this._failedDrives.set(index, mode)
+
+        return drivePath
+    }
+
+    /**
+     * Undo "failDrive", a removed drive comes back empty and gets healed by minio
+     * @param index Index of the drive in "instanceInfo.drivePaths"
+     * @param options "restart" to restart the instance, so that minio sees the change on startup
+     * @returns The path of the restored drive
+     */
+    async restoreDrive(index, options = {}) {
+        this.debug(`restoreDrive: Called .restoreDrive(${index}) method`)
+        const drivePath = this._getDrivePath(index)
+        const mode = this._failedDrives.get(index)
+
+        assertion(
+            !isNullOrUndefined(mode),
+            new Error(`Drive "${index}" was not failed with "failDrive"`)
         )
+
+        if (options.restart) {
+            await this._withStoppedInstance(() => restoreDrive(drivePath, mode))
+        } else {
+            await restoreDrive(drivePath, mode)
+        }
+
+        this._failedDrives.delete(index)
+
+        if (mode === DriveFailureModes.remove) {
+            this._healingDrives.add(drivePath)
+        }
+
+        return drivePath
+    }
+
+    /**
+     * Corrupt one shard of an object on disk to simulate bitrot
+     * @param bucket The Bucket of the object
+     * @param key The Key of the object
+     * @param options "drive" to select the drive (index in "instanceInfo.drivePaths"), otherwise the first drive with a shard is used
+     * @returns The path of the corrupted file
+     */
+    async corruptShard(bucket, key, options = {}) {
+        this.debug(`corruptShard: Called .corruptShard("${bucket}", "${key}") method`)
+        assertionInstanceInfo(this._instanceInfo)
+
+        const drivePaths = isNullOrUndefined(options.drive)
+            ? this._instanceInfo.drivePaths
+            : [this._getDrivePath(options.drive)]
+        const shards = await findShardFiles(drivePaths, bucket, key)
+
+        assertion(
+            shards.length > 0,
+            new Error(`No shards found for object "${bucket}/${key}"`)
+        )
+
+        const hash = await corruptShardFile(shards[0])
+        this._corruptedShards.set(`${bucket}/${key}`, {file: shards[0].file, hash})
+
+        return shards[0].file
+    }
+
+    /**
+     * Wait until all drives restored with "restoreDrive" are healed and minio reports no healing drives
+     * @param options "interval" and "timeout" in ms
+     * @throws if state is not "running" (or "starting")
+     * @throws {HealTimeoutError} if healing did not finish within "options.timeout"
+     */
+    async waitForHeal(options = {}) {
+        this.debug("waitForHeal: Called .waitForHeal() method")
+        assertionIsRunningOrStarting(this.state)
+        assertionInstanceInfo(this._instanceInfo)
+
+        await waitForHealed("drives", async () => {
+            // minio first formats a fresh drive (creating "format.json") and tracks the healing in ".healing.bin"
+            for (const drivePath of this._healingDrives) {
+                const sysPath = path.join(drivePath, ".minio.sys")
+
+                if (
+                    isNullOrUndefined(await statPath(path.join(sysPath, "format.json"))) ||
+                    !isNullOrUndefined(await statPath(path.join(sysPath, "buckets", ".healing.bin")))
+                ) {
+                    return false
+                }
+            }
+
+            const res = await this._instanceInfo.instance.probeHealth("/minio/health/cluster")
+            const healingDrives = Number(res?.headers["x-minio-healing-drives"] ?? 0)
+
+            return res?.statusCode === 200 && healingDrives === 0
+        }, options)
+
+        this._healingDrives.clear()
+    }
+
+    /**
+     * Wait until minio has rewritten a shard corrupted with "corruptShard"
+     * The object is read on every probe, because minio only heals bitrot it detects
+     * @param bucket The Bucket of the object
+     * @param key The Key of the object
+     * @param options "interval" and "timeout" in ms
+     * @throws if state is not "running" (or "starting")
+     * @throws {HealTimeoutError} if the shard was not healed within "options.timeout"
+     */
+    async waitForShardHeal(bucket, key, options = {}) {
+        this.debug(`waitForShardHeal: Called .waitForShardHeal("${bucket}", "${key}") method`)
+        const corrupted = this._corruptedShards.get(`${bucket}/${key}`)
+
+        assertion(
+            !isNullOrUndefined(corrupted),
+            new Error(`Object "${bucket}/${key}" was not corrupted with "corruptShard"`)
+        )
+
+        const client = this.getClient()
+
+        await waitForHealed(`${bucket}/${key}`, async () => {
+            try {
+                const stream = await client.getObject(bucket, key)
+
+                for await (const _chunk of stream) {
+                    // only reading is required
+                }
+            } catch (err) {
+                this.debug("waitForShardHeal: reading the object failed:", err)
+            }
+
+            return (await hashFile(corrupted.file)) !== corrupted.hash
+        }, options)
+
+        this._corruptedShards.delete(`${bucket}/${key}`)
+    }
+
+    /**
+     * Get the path of a drive and validate the index
+     * @param index Index of the drive in "instanceInfo.drivePaths"
+     * @private
+     */
+    _getDrivePath(index) {
+        assertionInstanceInfo(this._instanceInfo)
+        const drivePaths = this._instanceInfo.drivePaths
+
+        assertion(
+            Number.isInteger(index) && index >= 0 && index < drivePaths.length,
+            new UnknownDriveError(index, drivePaths.length)
+        )
+
+        return drivePaths[index]
+    }
+
+    /**
+     * Create a new "minio" client for the running instance, authenticated as the root user
+     * @param clientOptions Extra options for the "Minio.Client", overwriting the generated ones
+     * @throws if state is not "running" (or "starting")
+     */
+    getClient(clientOptions) {
+        return createClient(this.getConnectionInfo(), clientOptions)
+    }
+
+    /**
+     * Create a new admin API client for the running instance, authenticated as the root user
+     * @throws if state is not "running" (or "starting")
+     */
+    getAdmin() {
+        assertionIsRunningOrStarting(this.state)
+        assertionInstanceInfo(this._instanceInfo)
+
+        return new MinioAdmin(this)
+    }
+
+    /**
+     * Run the "mc" binary with an alias configured for the running instance
+     * "mc" is located / downloaded like the server binary, configured with the "mc" option
+     * @param args The Arguments for "mc", the instance is available as alias "local" (like "ls local/bucket")
+     * @param options "alias" to change the alias name, "json" to add "--json" and parse the output, "reject: false" to not throw on a non-0 exit code
+     * @throws if state is not "running" (or "starting")
+     * @throws {McCommandError} if "mc" exits with a non-0 code (and "reject" is not "false")
+     * @returns The "exitCode", "stdout", "stderr" and with "json" the parsed lines as "json"
+     */
+    async mc(args, options = {}) {
+        this.debug("mc: Called .mc() method", args)
+        assertionIsRunningOrStarting(this.state)
+        assertionInstanceInfo(this._instanceInfo)
+
+        const alias = options.alias ?? "local"
+        const mcArgs = options.json ? [...args, "--json"] : [...args]
+        const mcPath = await minioBinary.getPath({
+            ...this.opts.mc,
+            binaryName: MinioBinaryNames.mc
+        })
+        await checkBinaryPermissions(mcPath)
+
+        const credentials = this.getCredentials()
+        const secure = !isNullOrUndefined(this._instanceInfo.tls)
+        const hostUrl =
+            `${secure ? "https" : "http"}://${encodeURIComponent(credentials.accessKey)}:` +
+            `${encodeURIComponent(credentials.secretKey)}@127.0.0.1:${this._instanceInfo.port}`
+
+        const env = {
+            ...process.env,
+            // a separate config, so that the config of the user is neither used nor changed
+            MC_CONFIG_DIR: await this._getMcConfigDir(),
+            [`MC_HOST_${alias}`]: hostUrl
+        }
+
+        const result = await new Promise((res, rej) => {
+            const mcProcess = spawn(mcPath, mcArgs, {env, stdio: "pipe"})
+            const stdout = []
+            const stderr = []
+
+            mcProcess.stdout.on("data", chunk => stdout.push(chunk))
+            mcProcess.stderr.on("data", chunk => stderr.push(chunk))
+            mcProcess.on("error", rej)
+            mcProcess.on("close", exitCode =>
+                res({
+                    exitCode,
+                    stdout: Buffer.concat(stdout).toString(),
+                    stderr: Buffer.concat(stderr).toString()
+                })
+            )
+        })
+
+        this.debug(`mc: exited with code ${result.exitCode}`)
+
+        if (result.exitCode !== 0 && options.reject !== false) {
+            throw new McCommandError(mcArgs, result.exitCode, result.stderr.trim() || result.stdout.trim())
+        }
+
+        if (options.json) {
+            result.json = result.stdout
+                .split("\n")
+                .filter(line => line.trim().length > 0)
+                .map(line => JSON.parse(line))
+        }
+
+        return result
+    }
+
+    /**
+     * Get the config directory for "mc", and create it if it does not exist yet
+     * With "instance.tls" the CA is added to the trusted CAs of "mc"
+     * @private
+     */
+    async _getMcConfigDir() {
+        if (isNullOrUndefined(this._mcConfigDir)) {
+            this._mcConfigDir = await createTmpDir("minio-tst-mc-")
+        }
+
+        if (!isNullOrUndefined(this._instanceInfo?.tls)) {
+            const casDir = path.join(this._mcConfigDir, "certs", "CAs")
+            await mkdir(casDir)
+            await fspromises.writeFile(path.join(casDir, "minio-tst-ca.crt"), this._instanceInfo.tls.ca)
+        }
+
+        return this._mcConfigDir
     }
 
     /**
@@ -549,16 +1585,74 @@ class MinioServer extends EventEmitter {
      * @returns "true" when "auth" should be enabled
      */
     authObjectEnable() {
-        if (isNullOrUndefined(this.auth)) {
-            return false
-        }
+        return authObjectEnable(this.auth)
+    }
 
-        return typeof this.auth.disable === "boolean" // if "this._replSetOpts.auth.disable" is defined, use that
-            ? !this.auth.disable // invert the disable boolean, because "auth" should only be disabled if "disabled = true"
-            : true // if "this._replSetOpts.auth.disable" is not defined, default to true because "this._replSetOpts.auth" is defined
+    /**
+     * Helper function to determine if custom root credentials should be set for the instance
+     * @returns "true" when "instance.auth" is not "false" and the "auth" object is not disabled
+     */
+    authEnabled() {
+        const instAuth = this.opts.instance?.auth
+
+        return (
+            (typeof instAuth === "boolean" ? instAuth : true) && // check if auth is even meant to be enabled
+            this.authObjectEnable()
+        )
     }
 }
 
+// allow "server.metrics.diff(before, after)", see "diffMetrics"
+MinioServer.prototype.metrics.diff = (before, after) => diffMetrics(before, after)
+
+/**
+ * Create the (empty) tracking of IAM fixtures, which get removed on "stop"
+ */
+function emptyIamFixtures() {
+    return {accessKeys: new Set(), users: new Set(), groups: new Map(), policies: new Set()}
+}
+
+/**
+ * Generate the static KMS key for "instance.encryption"
+ * @param opts "true" or an object with "keyName", "key" (base64, 32 bytes) and "autoEncryption"
+ * @returns The KMS options with all defaults applied
+ */
+function encryptionDefault(opts) {
+    const encryption = {
+        keyName: "minio-tst-key",
+        key: randomBytes(32).toString("base64"),
+        autoEncryption: false,
+        ...(typeof opts === "object" ? opts : {})
+    }
+
+    const length = Buffer.from(encryption.key, "base64").length
+    assertion(length === 32, new InvalidEncryptionKeyError(encryption.keyName, length))
+
+    return encryption
+}
+
+/**
+ * Get a copy of the minio options that can be logged, without the secrets and the log buffer
+ * @param minioOptions The Options for "MinioInstance"
+ */
+function redactOptions(minioOptions) {
+    const instance = {...minioOptions.instance}
+
+    if (!isNullOrUndefined(instance.rootPassword)) {
+        instance.rootPassword = "<redacted>"
+    }
+
+    if (!isNullOrUndefined(instance.encryption)) {
+        instance.encryption = {...instance.encryption, key: "<redacted>"}
+    }
+
+    if (!isNullOrUndefined(instance.logs)) {
+        instance.logs = "<MinioLogs>"
+    }
+
+    return {...minioOptions, instance}
+}
+
 /**
  * This function is to de-duplicate code
  * -> this couldnt be included in the class, because "asserts this.instanceInfo" is not allowed
@@ -568,6 +1662,24 @@ function assertionInstanceInfo(val) {
     assertion(!isNullOrUndefined(val), new Error('"instanceInfo" is undefined'))
 }
 
+/**
+ * Helper function to de-duplicate state checking for functions that require a running instance
+ * @param currentState The current State ("this._state")
+ */
+function assertionIsRunningOrStarting(currentState) {
+    switch (currentState) {
+        case MinioServerStates.running:
+        case MinioServerStates.starting:
+            break
+        case MinioServerStates.stopped:
+        default:
+            throw new StateError(
+                [MinioServerStates.running, MinioServerStates.starting],
+                currentState
+            )
+    }
+}
+
 /**
  * Helper function to de-duplicate state checking for "MinioServerStates"
  * @param wantedState The State that is wanted
@@ -583,5 +1695,6 @@ function assertionIsMMSState(wantedState, currentState) {
 module.exports = {
     MinioServer,
     MinioServerStates,
-    MinioServerEvents
+    MinioServerEvents,
+    DriveFailureModes
 }
@@ -0,0 +1,182 @@
+const http = require("http");
+const debug = require("debug");
+const {isNullOrUndefined, trackConnections} = require("./utils");
+const {WebhookTimeoutError} = require("./errors");
+
+const log = debug("MinioTST:WebhookReceiver")
+
+/** Default time to wait for a matching entry in "waitFor" */
+const DEFAULT_WAIT_TIMEOUT = 1000 * 10
+
+/**
+ * A local HTTP receiver for the webhook targets of minio (like bucket notifications), collecting all JSON bodies that are posted to it
+ * Sub-classes convert the bodies to entries with "parseBody"
+ */
+class WebhookReceiver {
+    /** The Port the receiver listens on, kept across restarts so that minio's config stays valid */
+    port = undefined
+    /** All received entries, in order of arrival, exposed by the sub-classes */
+    _entries = []
+    /** The HTTP server, "undefined" while stopped */
+    _server = undefined
+    /** Function to destroy the open connections of "_server" */
+    _destroyConnections = undefined
+    /** Pending "waitFor" calls */
+    _waiters = new Set()
+
+    /**
+     * Create a receiver
+     * @param opts "port" (random by default)
+     */
+    constructor(opts = {}) {
+        this.opts = {...opts}
+    }
+
+    /**
+     * Debug-log with template applied
+     * @param msg The Message to log
+     */
+    debug(msg, ...extra) {
+        log(`${this.constructor.name}[${this.port ?? "unknown"}]: ${msg}`, ...extra)
+    }
+
+    /**
+     * Start listening, on the same port as before when restarted
+     */
+    async start() {
+        if (!isNullOrUndefined(this._server)) {
+            return
+        }
+
+        const server = http.createServer((req, res) => this._handleRequest(req, res))
+
+        await new Promise((res, rej) => {
+            server.once("error", rej)
+            server.listen(this.port ?? this.opts.port ?? 0, "127.0.0.1", () => {
+                server.off("error", rej)
+                res()
+            })
+        })
+
+        this._server = server
+        this._destroyConnections = trackConnections(server)
+        this.port = server.address().port
+        this.debug("start: Receiver is listening")
+    }
+
+    /**
+     * Stop listening, the received entries are kept
+     */
+    async stop() {
+        if (isNullOrUndefined(this._server)) {
+            return
+        }
+
+        this.debug("stop: Called .stop() method")
+        const server = this._server
+        this._server = undefined
+        this._destroyConnections()
+
+        await new Promise(res => server.close(() => res()))
+    }
+
+    /**
+     * Get the URL minio posts to
+     */
+    getEndpoint() {
+        return `http://127.0.0.1:${this.port}/`
+    }
+
+    /**
+     * Remove all received entries, so that "waitFor" only matches new ones
+     */
+    clear() {
+        this._entries = []
+    }
+
+    /**
+     * Convert a received body to entries, overwritten by sub-classes
+     * @param body The parsed JSON body
+     * @returns The entries to add
+     */
+    parseBody(body) {
+        return [body]
+    }
+
+    /**
+     * Wait until a entry matches "predicate", already received entries are checked first
+     * @param predicate Function to test each entry with
+     * @param options "timeout" in ms and "description" for the error message
+     * @throws {WebhookTimeoutError} if no entry matched within the timeout
+     * @returns The first matching entry
+     */
+    async waitFor(predicate, options = {}) {
+        const existing = this._entries.find(predicate)
+
+        if (!isNullOrUndefined(existing)) {
+            return existing
+        }
+
+        const timeout = options.timeout ?? DEFAULT_WAIT_TIMEOUT
+
+        return new Promise((res, rej) => {
+            const waiter = {
+                predicate,
+                resolve: entry => {
+                    clearTimeout(timer)
+                    this._waiters.delete(waiter)
+                    res(entry)
+                }
+            }
+            const timer = setTimeout(() => {
+                this._waiters.delete(waiter)
+                rej(new WebhookTimeoutError(options.description ?? "entry", timeout))
+            }, timeout)
+
+            this._waiters.add(waiter)
+        })
+    }
+
+    /**
+     * Collect the body of a request, minio also sends requests without body to check if the target is reachable
+     * @param req The Request
+     * @param res The Response
+     * @private
+     */
+    _handleRequest(req, res) {
+        const chunks = []
+        req.on("data", chunk => chunks.push(chunk))
+        req.on("end", () => {
+            res.writeHead(200).end()
+            const raw = Buffer.concat(chunks).toString()
+
+            if (req.method !== "POST" || raw.length === 0) {
+                return
+            }
+
+            let entries
+
+            try {
+                entries = this.parseBody(JSON.parse(raw))
+            } catch (err) {
+                this.debug("_handleRequest: could not parse body:", err)
+
+                return
+            }
+
+            for (const entry of entries) {
+                this._entries.push(entry)
+
+                for (const waiter of this._waiters) {
+                    if (waiter.predicate(entry)) {
+                        waiter.resolve(entry)
+                    }
+                }
+            }
+        })
+    }
+}
+
+module.exports = {
+    WebhookReceiver
+}
@@ -0,0 +1,164 @@
+const {createCipheriv, createDecipheriv, pbkdf2Sync, randomBytes} = require("crypto");
+const {argon2id} = require("hash-wasm");
+
+/*
+The admin API encrypts sensitive payloads (like configs and credentials) with the secret key of the requesting user
+This is a implementation of "EncryptData" / "DecryptData" of "github.com/minio/madmin-go":
+salt (32 bytes) | algorithm id (1 byte) | nonce (8 bytes) | "sio" stream
+*/
+
+/**
+ * All Algorithm ids used by madmin
+ */
+let AdminEncryptionAlgorithms
+
+;(function (AdminEncryptionAlgorithms) {
+    AdminEncryptionAlgorithms[(AdminEncryptionAlgorithms["argon2idAESGCM"] = 0x00)] = "argon2idAESGCM"
+    AdminEncryptionAlgorithms[(AdminEncryptionAlgorithms["argon2idChaCha20Poly1305"] = 0x01)] = "argon2idChaCha20Poly1305"
+    AdminEncryptionAlgorithms[(AdminEncryptionAlgorithms["pbkdf2AESGCM"] = 0x02)] = "pbkdf2AESGCM"
+})(AdminEncryptionAlgorithms || (AdminEncryptionAlgorithms = {}))
+
+const SALT_SIZE = 32
+const NONCE_SIZE = 8
+const HEADER_SIZE = SALT_SIZE + 1 + NONCE_SIZE
+const TAG_SIZE = 16
+/** The plaintext size of a "sio" stream fragment */
+const FRAGMENT_SIZE = 16 * 1024
+/** The Iterations madmin uses for pbkdf2 */
+const PBKDF2_COST = 8192
+/** Flag in the associated data of the last fragment */
+const FINAL_FLAG = 0x80
+
+/**
+ * Derive the key for "algorithm" from the password
+ * @param password The secret key of the user
+ * @param salt The random salt from the header
+ * @param algorithm One of "AdminEncryptionAlgorithms"
+ */
+async function deriveKey(password, salt, algorithm) {
+    switch (algorithm) {
+        case AdminEncryptionAlgorithms.argon2idAESGCM:
+        case AdminEncryptionAlgorithms.argon2idChaCha20Poly1305:
+            return Buffer.from(
+                await argon2id({
+                    password,
+                    salt,
+                    iterations: 1,
+                    memorySize: 64 * 1024,
+                    parallelism: 4,
+                    hashLength: 32,
+                    outputType: "binary"
+                })
+            )
+        case AdminEncryptionAlgorithms.pbkdf2AESGCM:
+            return pbkdf2Sync(password, salt, PBKDF2_COST, 32, "sha256")
+        default:
+            throw new Error(`Unknown admin encryption algorithm id "${algorithm}"`)
+    }
+}
+
+/**
+ * Create a "sio" AEAD function for one algorithm and key
+ * @param algorithm One of "AdminEncryptionAlgorithms"
+ * @param key The derived key
+ * @param nonce The 8 byte nonce from the header
+ * @returns "seal(seqNum, plaintext, ad)" and "open(seqNum, ciphertext, ad)"
+ */
+function sioCipher(algorithm, key, nonce) {
+    const cipherName =
+        algorithm === AdminEncryptionAlgorithms.argon2idChaCha20Poly1305
+            ? "chacha20-poly1305"
+            : "aes-256-gcm"
+
+    // the fragment nonce is the header nonce with the little-endian sequence number appended
+    const fragmentNonce = seqNum => {
+        const seq = Buffer.alloc(4)
+        seq.writeUInt32LE(seqNum)
+
+        return Buffer.concat([nonce, seq])
+    }
+
+    return {
+        seal(seqNum, plaintext, ad) {
+            const cipher = createCipheriv(cipherName, key, fragmentNonce(seqNum), {authTagLength: TAG_SIZE})
+            cipher.setAAD(ad)
+
+            return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()])
+        },
+        open(seqNum, ciphertext, ad) {
+            const decipher = createDecipheriv(cipherName, key, fragmentNonce(seqNum), {authTagLength: TAG_SIZE})
+            decipher.setAAD(ad)
+            decipher.setAuthTag(ciphertext.subarray(ciphertext.length - TAG_SIZE))
+
+            return Buffer.concat([
+                decipher.update(ciphertext.subarray(0, ciphertext.length - TAG_SIZE)),
+                decipher.final()
+            ])
+        }
+    }
+}
+
+/**
+ * Encrypt "data" for the admin API
+ * pbkdf2 is used, because it is a lot faster than argon2id and minio supports decrypting all algorithms
+ * @param password The secret key of the requesting user
+ * @param data The Data to encrypt
+ */
+async function encryptData(password, data) {
+    const plaintext = Buffer.from(data)
+    const salt = randomBytes(SALT_SIZE)
+    const nonce = randomBytes(NONCE_SIZE)
+    const algorithm = AdminEncryptionAlgorithms.pbkdf2AESGCM
+    const sio = sioCipher(algorithm, await deriveKey(password, salt, algorithm), nonce)
+
+    // sequence number 0 authenticates the (empty) associated data, the fragments start at 1
+    const adTag = sio.seal(0, Buffer.alloc(0), Buffer.alloc(0))
+    const fragmentCount = Math.max(1, Math.ceil(plaintext.length / FRAGMENT_SIZE))
+    const parts = [salt, Buffer.from([algorithm]), nonce]
+
+    for (let i = 0; i < fragmentCount; i++) {
+        const flag = i === fragmentCount - 1 ? FINAL_FLAG : 0x00
+        const fragment = plaintext.subarray(i * FRAGMENT_SIZE, (i + 1) * FRAGMENT_SIZE)
+        parts.push(sio.seal(i + 1, fragment, Buffer.concat([Buffer.from([flag]), adTag])))
+    }
+
+    return Buffer.concat(parts)
+}
+
+/**
+ * Decrypt data returned by the admin API
+ * @param password The secret key of the requesting user
+ * @param data The encrypted Data
+ */
+async function decryptData(password, data) {
+    const ciphertext = Buffer.from(data)
+
+    if (ciphertext.length < HEADER_SIZE + TAG_SIZE) {
+        throw new Error("Encrypted admin payload is too short")
+    }
+
+    const salt = ciphertext.subarray(0, SALT_SIZE)
+    const algorithm = ciphertext[SALT_SIZE]
+    const nonce = ciphertext.subarray(SALT_SIZE + 1, HEADER_SIZE)
+    const sio = sioCipher(algorithm, await deriveKey(password, salt, algorithm), nonce)
+
+    const adTag = sio.seal(0, Buffer.alloc(0), Buffer.alloc(0))
+    const body = ciphertext.subarray(HEADER_SIZE)
+    const fragmentSize = FRAGMENT_SIZE + TAG_SIZE
+    const fragmentCount = Math.max(1, Math.ceil(body.length / fragmentSize))
+    const parts = []
+
+    for (let i = 0; i < fragmentCount; i++) {
+        const flag = i === fragmentCount - 1 ? FINAL_FLAG : 0x00
+        const fragment = body.subarray(i * fragmentSize, (i + 1) * fragmentSize)
+        parts.push(sio.open(i + 1, fragment, Buffer.concat([Buffer.from([flag]), adTag])))
+    }
+
+    return Buffer.concat(parts)
+}
+
+module.exports = {
+    AdminEncryptionAlgorithms,
+    encryptData,
+    decryptData
+}
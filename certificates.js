@@ -0,0 +1,152 @@
+const debug = require("debug");
+const path = require("path");
+const forge = require("node-forge");
+const {generateKeyPairSync, randomBytes} = require("crypto");
+const {promises: fspromises} = require("fs");
+const {mkdir} = require("./utils");
+
+const log = debug("MinioTST:certificates")
+
+/** How long generated certificates are valid, tests should never run that long */
+const DEFAULT_VALIDITY_DAYS = 30
+/** The Names every generated server certificate is valid for */
+const DEFAULT_SERVER_ALT_NAMES = [
+    {type: 2, value: "localhost"}, // DNS
+    {type: 7, ip: "127.0.0.1"}, // IP
+    {type: 7, ip: "::1"}
+]
+
+/**
+ * Generate a RSA key pair, node's "crypto" is used because it is a lot faster than forge
+ * @returns The key pair as forge objects
+ */
+function generateKeys() {
+    const {publicKey, privateKey} = generateKeyPairSync("rsa", {
+        modulusLength: 2048,
+        publicKeyEncoding: {type: "spki", format: "pem"},
+        privateKeyEncoding: {type: "pkcs8", format: "pem"}
+    })
+
+    return {
+        publicKey: forge.pki.publicKeyFromPem(publicKey),
+        privateKey: forge.pki.privateKeyFromPem(privateKey)
+    }
+}
+
+/**
+ * Create a unsigned certificate with the common fields set
+ * @param publicKey The Public Key of the certificate
+ * @param commonName The Common Name of the subject
+ * @param validityDays How many days the certificate is valid
+ */
+function createCertificate(publicKey, commonName, validityDays) {
+    const cert = forge.pki.createCertificate()
+    cert.publicKey = publicKey
+    // serial numbers need to be positive, so the first bit is never set
+    cert.serialNumber = "01" + randomBytes(15).toString("hex")
+
+    cert.validity.notBefore = new Date(Date.now() - 1000 * 60 * 60) // allow for some clock skew
+    cert.validity.notAfter = new Date(Date.now() + 1000 * 60 * 60 * 24 * validityDays)
+    cert.setSubject([{name: "commonName", value: commonName}])
+
+    return cert
+}
+
+/**
+ * Convert a certificate and its key to PEM strings
+ * @param cert The forge certificate
+ * @param privateKey The forge private key
+ */
+function toPem(cert, privateKey) {
+    return {
+        cert: forge.pki.certificateToPem(cert),
+        key: forge.pki.privateKeyToPem(privateKey)
+    }
+}
+
+/**
+ * Generate a self-signed Certificate Authority
+ * @param options "commonName" and "validityDays"
+ * @returns The CA certificate and key as PEM strings
+ */
+function generateCA(options = {}) {
+    log("generateCA")
+    const keys = generateKeys()
+    const cert = createCertificate(
+        keys.publicKey,
+        options.commonName ?? "minio-for-tests CA",
+        options.validityDays ?? DEFAULT_VALIDITY_DAYS
+    )
+
+    cert.setIssuer(cert.subject.attributes)
+    cert.setExtensions([
+        {name: "basicConstraints", cA: true, critical: true},
+        {name: "keyUsage", keyCertSign: true, cRLSign: true, critical: true},
+        {name: "subjectKeyIdentifier"}
+    ])
+    cert.sign(keys.privateKey, forge.md.sha256.create())
+
+    return toPem(cert, keys.privateKey)
+}
+
+/**
+ * Generate a certificate signed by "ca"
+ * @param ca The CA returned by "generateCA"
+ * @param options "commonName", "altNames" (forge format), "clientAuth" to create a client instead of a server certificate, and "validityDays"
+ * @returns The certificate and key as PEM strings
+ */
+function generateCertificate(ca, options = {}) {
+    const clientAuth = !!options.clientAuth
+    const commonName = options.commonName ?? "localhost"
+    log(`generateCertificate: "${commonName}" (clientAuth: ${clientAuth})`)
+
+    const caCert = forge.pki.certificateFromPem(ca.cert)
+    const caKey = forge.pki.privateKeyFromPem(ca.key)
+    const keys = generateKeys()
+    const cert = createCertificate(
+        keys.publicKey,
+        commonName,
+        options.validityDays ?? DEFAULT_VALIDITY_DAYS
+    )
+
+    cert.setIssuer(caCert.subject.attributes)
+
+    const extensions = [
+        {name: "basicConstraints", cA: false},
+        {name: "keyUsage", digitalSignature: true, keyEncipherment: true, critical: true},
+        {name: "extKeyUsage", serverAuth: !clientAuth, clientAuth: clientAuth}
+    ]
+
+    if (!clientAuth) {
+        extensions.push({
+            name: "subjectAltName",
+            altNames: options.altNames ?? DEFAULT_SERVER_ALT_NAMES
+        })
+    }
+
+    cert.setExtensions(extensions)
+    cert.sign(caKey, forge.md.sha256.create())
+
+    return toPem(cert, keys.privateKey)
+}
+
+/**
+ * Write the certificates in the layout minio expects for "--certs-dir"
+ * @param certsDir The Directory to write to
+ * @param ca The CA, which is also trusted by minio itself (in "CAs")
+ * @param server The Server certificate
+ */
+async function writeCertsDir(certsDir, ca, server) {
+    log(`writeCertsDir: writing certificates to "${certsDir}"`)
+    await mkdir(path.join(certsDir, "CAs"))
+
+    await fspromises.writeFile(path.join(certsDir, "public.crt"), server.cert)
+    await fspromises.writeFile(path.join(certsDir, "private.key"), server.key, {mode: 0o600})
+    await fspromises.writeFile(path.join(certsDir, "CAs", "ca.crt"), ca.cert)
+}
+
+module.exports = {
+    generateCA,
+    generateCertificate,
+    writeCertsDir
+}
@@ -0,0 +1,105 @@
+const https = require("https");
+const Minio = require("minio");
+const {endpointTemplate, isNullOrUndefined} = require("./utils");
+
+/** The Region used when no region is set (same as the minio default) */
+const DEFAULT_REGION = "us-east-1"
+/** The Credentials minio uses when no root user is set */
+const DEFAULT_CREDENTIALS = {
+    accessKey: "minioadmin",
+    secretKey: "minioadmin"
+}
+
+/**
+ * Helper function to determine if the "auth" object is set and not to be disabled
+ * This function expectes to be run after the auth object has been transformed to a object
+ * @param auth The "auth" object, see "authDefault"
+ * @returns "true" when "auth" should be enabled
+ */
+function authObjectEnable(auth) {
+    if (isNullOrUndefined(auth)) {
+        return false
+    }
+
+    return typeof auth.disable === "boolean" // if "auth.disable" is defined, use that
+        ? !auth.disable // invert the disable boolean, because "auth" should only be disabled if "disabled = true"
+        : true // if "auth.disable" is not defined, default to true because "auth" is defined
+}
+
+/**
+ * Get the Credentials of the root user
+ * @param rootUser The Root user, "undefined" for the minio default
+ * @param rootPassword The Password of the root user
+ * @returns The "accessKey" and "secretKey" of the root user
+ */
+function rootCredentials(rootUser, rootPassword) {
+    if (isNullOrUndefined(rootUser)) {
+        return {...DEFAULT_CREDENTIALS}
+    }
+
+    return {
+        accessKey: rootUser,
+        secretKey: rootPassword
+    }
+}
+
+/**
+ * Get the S3 endpoint of a instance
+ * @param instance "port" and "tls" of the instance
+ * @param otherIp change the ip in the generated endpoint, default will otherwise always be "127.0.0.1"
+ * @returns a endpoint like "http://127.0.0.1:port"
+ */
+function instanceEndpoint(instance, otherIp) {
+    return endpointTemplate(otherIp || "127.0.0.1", instance.port, !isNullOrUndefined(instance.tls))
+}
+
+/**
+ * Get everything needed to connect a S3 client to a instance
+ * @param instance "port" and "tls" of the instance
+ * @param credentials The "accessKey" and "secretKey" to connect with
+ * @param region The Region of the instance
+ * @param otherIp change the ip in the generated endpoint, default will otherwise always be "127.0.0.1"
+ */
+function connectionInfo(instance, credentials, region, otherIp) {
+    return {
+        endpoint: instanceEndpoint(instance, otherIp),
+        port: instance.port,
+        accessKey: credentials.accessKey,
+        secretKey: credentials.secretKey,
+        region,
+        // minio does not support virtual-host style addressing without "MINIO_DOMAIN"
+        forcePathStyle: true,
+        // the CA to trust, "undefined" without "instance.tls"
+        ca: instance.tls?.ca
+    }
+}
+
+/**
+ * Create a new "minio" client from a connection info
+ * @param info The Connection info, see "connectionInfo"
+ * @param clientOptions Extra options for the "Minio.Client", overwriting the generated ones
+ */
+function createClient(info, clientOptions) {
+    return new Minio.Client({
+        endPoint: "127.0.0.1",
+        port: info.port,
+        useSSL: !isNullOrUndefined(info.ca),
+        transportAgent: isNullOrUndefined(info.ca)
+            ? undefined
+            : new https.Agent({ca: info.ca, keepAlive: true}),
+        accessKey: info.accessKey,
+        secretKey: info.secretKey,
+        region: info.region,
+        ...clientOptions
+    })
+}
+
+module.exports = {
+    DEFAULT_REGION,
+    DEFAULT_CREDENTIALS,
+    authObjectEnable,
+    rootCredentials,
+    instanceEndpoint,
+    connectionInfo,
+    createClient
+}
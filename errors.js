@@ -209,6 +209,113 @@ class StdoutInstanceError extends Error {
     }
 }
 
+/**
+ * Base class for the startup failures of minio that are recognised in its output
+ */
+class MinioStartupError extends StdoutInstanceError {
+    constructor(reason, hint, line) {
+        super(`Instance failed to start: ${reason}\nHint: ${hint}\nOriginal output:\n${line}`)
+        this.reason = reason
+        this.hint = hint
+        this.line = line
+    }
+}
+
+/**
+ * Error for when minio rejects the root credentials at startup (like when they come from the environment and are too short)
+ */
+class RejectedCredentialsError extends MinioStartupError {
+    constructor(line) {
+        super(
+            "The root credentials are invalid",
+            'The root user needs at least 3 and the root password at least 8 characters, see "auth.customRootName" and "auth.customRootPwd"',
+            line
+        )
+    }
+}
+
+/**
+ * Error for when minio cannot write to a drive
+ */
+class DriveNotWritableError extends MinioStartupError {
+    constructor(line) {
+        super(
+            "A drive is not writable",
+            'Check that the current user can write to "instance.dataPath" / "instance.drives"',
+            line
+        )
+    }
+}
+
+/**
+ * Error for when a drive contains data minio cannot use (like the old "fs" backend)
+ */
+class IncompatibleDriveError extends MinioStartupError {
+    constructor(line) {
+        super(
+            "A drive contains incompatible data",
+            'Use a empty directory, or remove the existing data (like with "cleanup({ doCleanup: true, force: true })")',
+            line
+        )
+    }
+}
+
+/**
+ * Error for when a drive is on a filesystem minio does not support
+ */
+class UnsupportedFilesystemError extends MinioStartupError {
+    constructor(line) {
+        super(
+            "A drive is on a unsupported filesystem",
+            'minio needs a filesystem with "O_DIRECT" support (like ext4 or xfs, not tmpfs), set "instance.dataPath" to a directory on one',
+            line
+        )
+    }
+}
+
+/**
+ * Error for when the port of the api or the console is already used by another process
+ */
+class PortInUseError extends MinioStartupError {
+    constructor(port, line) {
+        super(
+            `Port "${port}" is already in use`,
+            'Another process uses the port, do not set "instance.port" (or "instance.consolePort") to get a free one',
+            line
+        )
+        this.port = port
+    }
+}
+
+/**
+ * Error for when the certificates in "--certs-dir" cannot be used
+ */
+class InvalidCertificateError extends MinioStartupError {
+    constructor(expired, line) {
+        super(
+            expired ? "The certificate has expired or is not yet valid" : "The certificate could not be loaded",
+            expired
+                ? 'Generate a new certificate, or use "instance.tls: true" to have one generated on every start'
+                : 'Check that "public.crt" and "private.key" in "instance.certsDir" are valid PEM and belong together',
+            line
+        )
+        this.expired = expired
+    }
+}
+
+/**
+ * Error for when not enough drives are online for the erasure sets to have quorum
+ */
+class QuorumNotMetError extends MinioStartupError {
+    constructor(line) {
+        super(
+            "Not enough drives are online for quorum",
+            'Check that all drives in "instance.drives" exist and are readable (and restore failed drives)',
+            line
+        )
+    }
+}
+
 /**
  * Error for when the instance closes with non-0 (or non-12) codes or signals
  */
@@ -253,6 +360,245 @@ class DownloadError extends Error {
     }
 }
 
+/**
+ * Error for when the root credentials do not satisfy the minio length requirements
+ */
+class InvalidCredentialsError extends Error {
+    constructor(accessKeyLength, secretKeyLength) {
+        super(
+            `Invalid root credentials, minio requires the access key to be at least 3 characters and the secret key to be at least 8 characters (got lengths: access key "${accessKeyLength}", secret key "${secretKeyLength}")`
+        )
+        this.accessKeyLength = accessKeyLength
+        this.secretKeyLength = secretKeyLength
+    }
+}
+
+/**
+ * Error for when a bucket definition in "instance.buckets" is invalid
+ */
+class InvalidBucketDefinitionError extends Error {
+    constructor(bucket, reason) {
+        super(`Invalid definition for bucket "${bucket}": ${reason}`)
+        this.bucket = bucket
+        this.reason = reason
+    }
+}
+
+/**
+ * Error for when a seed source (directory or manifest) cannot be loaded
+ */
+class InvalidSeedSourceError extends Error {
+    constructor(source, reason) {
+        super(
+            `Invalid seed source "${
+                typeof source === "string" ? source : typeof source
+            }": ${reason}`
+        )
+        this.source = source
+        this.reason = reason
+    }
+}
+
+/**
+ * Error for when a snapshot name cannot be used as a directory name
+ */
+class InvalidSnapshotNameError extends Error {
+    constructor(name) {
+        super(
+            `Invalid snapshot name "${name}", it is required to be a non-empty string without path separators`
+        )
+        this.snapshotName = name
+    }
+}
+
+/**
+ * Error for when a snapshot to restore does not exist
+ */
+class SnapshotNotFoundError extends Error {
+    constructor(name, snapshotPath) {
+        super(`Snapshot "${name}" does not exist (path: "${snapshotPath}")`)
+        this.snapshotName = name
+        this.snapshotPath = snapshotPath
+    }
+}
+
+/**
+ * Error for when the console url is requested, but the console is disabled
+ */
+class ConsoleDisabledError extends Error {
+    constructor() {
+        super('The console is disabled, because "instance.console" is set to "false"')
+    }
+}
+
+/**
+ * Error for when "instance.drives" is neither a positive integer nor a non-empty array
+ */
+class InvalidDrivesError extends Error {
+    constructor(drives) {
+        super(
+            `"instance.drives" is required to be a positive integer or a non-empty array of paths (got: "${drives}")`
+        )
+        this.drives = drives
+    }
+}
+
+/**
+ * Error for when "cluster.count" is less than 2, because a distributed deployment needs at least 2 nodes
+ */
+class ClusterCountLowError extends Error {
+    constructor(count) {
+        super(
+            `Cluster Count needs to be 2 or higher! (specified count: "${count}")`
+        )
+        this.count = count
+    }
+}
+
+/**
+ * Error for when a drive index is requested that the instance does not have
+ */
+class UnknownDriveError extends Error {
+    constructor(index, driveCount) {
+        super(
+            `Drive index "${index}" does not exist (drive count: ${driveCount})`
+        )
+        this.index = index
+        this.driveCount = driveCount
+    }
+}
+
+/**
+ * Error for when minio did not heal a drive or object within the timeout
+ */
+class HealTimeoutError extends Error {
+    constructor(what, timeout) {
+        super(`Timed out after ${timeout}ms while waiting for "${what}" to be healed`)
+        this.what = what
+        this.timeout = timeout
+    }
+}
+
+/**
+ * Error for when TLS information is requested, but "instance.tls" (or "instance.mtls") is not enabled
+ */
+class TlsDisabledError extends Error {
+    constructor(option = "tls") {
+        super(`TLS is not enabled, set "instance.${option}" to "true"`)
+        this.option = option
+    }
+}
+
+/**
+ * Error for when "instance.encryption.key" is not a base64 encoded 32 byte key
+ */
+class InvalidEncryptionKeyError extends Error {
+    constructor(keyName, length) {
+        super(
+            `The KMS key "${keyName}" is required to be 32 bytes encoded as base64 (got ${length} bytes)`
+        )
+        this.keyName = keyName
+        this.length = length
+    }
+}
+
+/**
+ * Error for when a admin API request responds with a non-2xx status code
+ */
+class AdminRequestError extends Error {
+    constructor(method, path, statusCode, message) {
+        super(`Admin request "${method} ${path}" failed with status ${statusCode}: ${message}`)
+        this.method = method
+        this.path = path
+        this.statusCode = statusCode
+    }
+}
+
+/**
+ * Error for when a "mc" command exits with a non-0 code
+ */
+class McCommandError extends Error {
+    constructor(args, exitCode, stderr) {
+        super(`"mc ${args.join(" ")}" exited with code ${exitCode}: ${stderr}`)
+        this.args = args
+        this.exitCode = exitCode
+        this.stderr = stderr
+    }
+}
+
+/**
+ * Error for when a policy definition for a IAM fixture is invalid
+ */
+class InvalidPolicyError extends Error {
+    constructor(reason) {
+        super(`Invalid policy definition: ${reason}`)
+    }
+}
+
+/**
+ * Error for when the expiry of a access key is not in the future, or too far away
+ */
+class InvalidAccessKeyExpiryError extends Error {
+    constructor(lifetime, max) {
+        super(
+            `The access key expiry is required to be in the future and at most ${max}ms (${Math.floor(max / (1000 * 60 * 60 * 24))} days) from now (got ${lifetime}ms)`
+        )
+        this.lifetime = lifetime
+    }
+}
+
+/**
+ * Error for when a STS request responds with a non-2xx status code
+ */
+class STSRequestError extends Error {
+    constructor(action, statusCode, code, message) {
+        super(`STS "${action}" failed with status ${statusCode}${code ? ` (${code})` : ""}: ${message}`)
+        this.action = action
+        this.statusCode = statusCode
+        this.code = code
+    }
+}
+
+/**
+ * Error for when a requested feature of the instance is not enabled, like "instance.events"
+ */
+class FeatureDisabledError extends Error {
+    constructor(option) {
+        super(`"instance.${option}" is not enabled, set it to "true"`)
+        this.option = option
+    }
+}
+
+/**
+ * Error for when the OIDC issuer is requested, but "instance.oidc" is not enabled
+ */
+class OidcDisabledError extends FeatureDisabledError {
+    constructor() {
+        super("oidc")
+    }
+}
+
+/**
+ * Error for when no matching webhook entry (like a bucket event) was received in time
+ */
+class WebhookTimeoutError extends Error {
+    constructor(description, timeout) {
+        super(`No ${description} was received within ${timeout}ms`)
+        this.timeout = timeout
+    }
+}
+
+/**
+ * Error for when scraping a Prometheus endpoint responds with a non-200 status code
+ */
+class MetricsRequestError extends Error {
+    constructor(scope, statusCode, body) {
+        super(`Scraping the "${scope}" metrics failed with status ${statusCode}: ${body}`)
+        this.scope = scope
+        this.statusCode = statusCode
+    }
+}
+
 /* Custom Generic Error class for MMS */
 class GenericMMSError extends Error {}
 
@@ -278,8 +624,37 @@ module.exports = {
     NoRegexMatchError,
     KnownVersionIncompatibilityError,
     StdoutInstanceError,
+    MinioStartupError,
+    RejectedCredentialsError,
+    DriveNotWritableError,
+    IncompatibleDriveError,
+    UnsupportedFilesystemError,
+    PortInUseError,
+    InvalidCertificateError,
+    QuorumNotMetError,
     UnexpectedCloseError,
     UnknownVersionError,
     DownloadError,
+    InvalidCredentialsError,
+    InvalidBucketDefinitionError,
+    InvalidSeedSourceError,
+    InvalidSnapshotNameError,
+    SnapshotNotFoundError,
+    ConsoleDisabledError,
+    InvalidDrivesError,
+    ClusterCountLowError,
+    UnknownDriveError,
+    HealTimeoutError,
+    TlsDisabledError,
+    InvalidEncryptionKeyError,
+    AdminRequestError,
+    McCommandError,
+    InvalidPolicyError,
+    InvalidAccessKeyExpiryError,
+    STSRequestError,
+    FeatureDisabledError,
+    OidcDisabledError,
+    WebhookTimeoutError,
+    MetricsRequestError,
     GenericMMSError
 }
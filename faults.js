@@ -0,0 +1,337 @@
+const debug = require("debug");
+const path = require("path");
+const {createHash} = require("crypto");
+const {promises: fspromises} = require("fs");
+const {assertion, isNullOrUndefined, mkdir, removeDir, sleep, statPath} = require("./utils");
+const {HealTimeoutError} = require("./errors");
+
+const log = debug("MinioTST:faults")
+
+/**
+ * All ways "failDrive" can make a drive fail
+ */
+let DriveFailureModes
+
+;(function (DriveFailureModes) {
+    /** Remove the drive directory, restoring gives minio an empty drive to heal */
+    DriveFailureModes["remove"] = "remove"
+    /** Remove all permissions from the drive directory, restoring keeps the data (does not work as root) */
+    DriveFailureModes["unreadable"] = "unreadable"
+})(DriveFailureModes || (DriveFailureModes = {}))
+
+/** Default interval between heal probes */
+const DEFAULT_HEAL_INTERVAL = 500
+/** Default time to wait for a heal */
+const DEFAULT_HEAL_TIMEOUT = 1000 * 60
+/** The Magic "xl.meta" starts with, followed by the major and minor version (2 bytes each) */
+const XL_META_HEADER = Buffer.from("XL2 ")
+/** The Version of the inline data section of "xl.meta" */
+const XL_INLINE_DATA_VERSION = 1
+/** How many bytes "corruptShardFile" flips per shard */
+const CORRUPTED_BYTES = 16
+
+/**
+ * Make a drive directory fail
+ * @param drivePath The drive directory
+ * @param mode How the drive should fail, see "DriveFailureModes"
+ */
+async function failDrive(drivePath, mode = DriveFailureModes.remove) {
+    log(`failDrive: "${drivePath}" with mode "${mode}"`)
+
+    switch (mode) {
+        case DriveFailureModes.remove:
+            await removeDir(drivePath)
+            break
+        case DriveFailureModes.unreadable:
+            await fspromises.chmod(drivePath, 0o000)
+            break
+        default:
+            throw new Error(`Unknown drive failure mode "${mode}"`)
+    }
+}
+
+/**
+ * Undo "failDrive" for a drive directory
+ * @param drivePath The drive directory
+ * @param mode The mode the drive was failed with
+ */
+async function restoreDrive(drivePath, mode = DriveFailureModes.remove) {
+    log(`restoreDrive: "${drivePath}" failed with mode "${mode}"`)
+
+    switch (mode) {
+        case DriveFailureModes.remove:
+            await mkdir(drivePath)
+            break
+        case DriveFailureModes.unreadable:
+            await fspromises.chmod(drivePath, 0o755)
+            break
+        default:
+            throw new Error(`Unknown drive failure mode "${mode}"`)
+    }
+}
+
+/**
+ * Find the files holding the shards of an object on the given drives
+ * Large objects have their shards in "<key>/<dataDir>/part.N", small objects have them inlined in "<key>/xl.meta"
+ * Every version of a versioned object has its own data dir, the newest one is used so that reading the object hits the shard
+ * @param drivePaths The drive directories to search
+ * @param bucket The Bucket of the object
+ * @param key The Key of the object
+ * @throws if "bucket" / "key" resolve to a path outside of the drive directory (like with "..")
+ * @returns All shard files, with the drive they are on
+ */
+async function findShardFiles(drivePaths, bucket, key) {
+    const shards = []
+
+    for (const drivePath of drivePaths) {
+        const bucketDir = path.resolve(drivePath, bucket)
+        const objectDir = path.resolve(bucketDir, key)
+
+        assertion(
+            isInside(drivePath, bucketDir) && isInside(bucketDir, objectDir),
+            new Error(`Object "${bucket}/${key}" does not resolve to a path inside of drive "${drivePath}"`)
+        )
+
+        const metaFile = path.join(objectDir, "xl.meta")
+
+        if (isNullOrUndefined(await statPath(metaFile))) {
+            continue
+        }
+
+        const dataDir = await findLatestDataDir(objectDir)
+        const parts = isNullOrUndefined(dataDir)
+            ? []
+            : (await fspromises.readdir(dataDir))
+                .filter(file => /^part\.\d+$/.test(file))
+                .map(file => path.join(dataDir, file))
+
+        shards.push({
+            drivePath,
+            file: parts.length > 0 ? parts.sort()[0] : metaFile,
+            inline: parts.length === 0
+        })
+    }
+
+    return shards
+}
+
+/**
+ * Test if "child" is a path inside of (and not equal to) "parent"
+ * @param parent The Parent directory
+ * @param child The Path to test
+ */
+function isInside(parent, child) {
+    const relative = path.relative(path.resolve(parent), child)
+
+    return relative.length > 0 && !relative.startsWith("..") && !path.isAbsolute(relative)
+}
+
+/**
+ * Find the most recently written data dir (holding "part.N" files) of a object
+ * @param objectDir The Directory of the object on a drive
+ * @returns The Path of the data dir, or "undefined" if the data is inlined in "xl.meta"
+ */
+async function findLatestDataDir(objectDir) {
+    let latest = undefined
+
+    for (const entry of await fspromises.readdir(objectDir, {withFileTypes: true})) {
+        if (!entry.isDirectory()) {
+            continue
+        }
+
+        const dataDir = path.join(objectDir, entry.name)
+        const files = await fspromises.readdir(dataDir)
+
+        if (!files.some(file => /^part\.\d+$/.test(file))) {
+            continue
+        }
+
+        const stat = await fspromises.stat(dataDir)
+
+        if (isNullOrUndefined(latest) || stat.mtimeMs > latest.mtimeMs) {
+            latest = {dataDir, mtimeMs: stat.mtimeMs}
+        }
+    }
+
+    return latest?.dataDir
+}
+
+/**
+ * Read the position of a msgpack "str" or "bin" value
+ * @param buffer The Buffer to read from
+ * @param offset The Offset of the type byte
+ * @throws if the value is not a "str" / "bin" or ends after the buffer
+ * @returns "start" and "end" of the value
+ */
+function readMsgpackBytes(buffer, offset) {
+    const type = buffer[offset]
+    /** The Size of the length in bytes, by type ("bin 8/16/32" and "str 8/16/32") */
+    const lengthSizes = {0xc4: 1, 0xc5: 2, 0xc6: 4, 0xd9: 1, 0xda: 2, 0xdb: 4}
+    let start = offset + 1
+    let length = type & 0x1f // "fixstr"
+
+    if (!(type >= 0xa0 && type <= 0xbf)) {
+        const lengthSize = lengthSizes[type]
+        assertion(
+            !isNullOrUndefined(lengthSize),
+            new Error(`Expected a msgpack string or binary at offset ${offset}, got type "0x${type?.toString(16)}"`)
+        )
+
+        length = buffer.readUIntBE(start, lengthSize)
+        start += lengthSize
+    }
+
+    assertion(start + length <= buffer.length, new Error(`Msgpack value at offset ${offset} ends after the buffer`))
+
+    return {start, end: start + length}
+}
+
+/**
+ * Read the header of a msgpack "map"
+ * @param buffer The Buffer to read from
+ * @param offset The Offset of the type byte
+ * @throws if the value is not a "map"
+ * @returns The "count" of entries and the "start" of the first key
+ */
+function readMsgpackMapHeader(buffer, offset) {
+    const type = buffer[offset]
+
+    if (type >= 0x80 && type <= 0x8f) {
+        return {count: type & 0x0f, start: offset + 1}
+    }
+
+    if (type === 0xde) {
+        return {count: buffer.readUInt16BE(offset + 1), start: offset + 3}
+    }
+
+    if (type === 0xdf) {
+        return {count: buffer.readUInt32BE(offset + 1), start: offset + 5}
+    }
+
+    throw new Error(`Expected a msgpack map at offset ${offset}, got type "0x${type?.toString(16)}"`)
+}
+
+/**
+ * Find the inlined shard data in the content of a "xl.meta"
+ * The metadata (a msgpack "bin 32") and its crc are followed by the inline data: a version byte and a msgpack map of version id to shard data
+ * @param content The Content of the "xl.meta"
+ * @throws if the content is not in a known format (like "xl.meta" files written by minio versions before 2021)
+ * @returns "start" and "end" of the (non-empty) shard data of every version
+ */
+function findInlineData(content) {
+    const unknownFormat = reason => new Error(`Unknown "xl.meta" format: ${reason}`)
+
+    assertion(content.subarray(0, 4).equals(XL_META_HEADER), unknownFormat('missing "XL2 " header'))
+    assertion(content[8] === 0xc6, unknownFormat("the metadata is not a msgpack bin 32"))
+
+    let offset = readMsgpackBytes(content, 8).end
+
+    // newer versions add the crc of the metadata as msgpack "uint 32"
+    if (content[offset] === 0xce) {
+        offset += 5
+    }
+
+    if (offset >= content.length) {
+        return []
+    }
+
+    assertion(
+        content[offset] === XL_INLINE_DATA_VERSION,
+        unknownFormat(`unknown inline data version "${content[offset]}"`)
+    )
+
+    const map = readMsgpackMapHeader(content, offset + 1)
+    const ranges = []
+    offset = map.start
+
+    for (let i = 0; i < map.count; i++) {
+        const value = readMsgpackBytes(content, readMsgpackBytes(content, offset).end)
+        offset = value.end
+
+        if (value.end > value.start) {
+            ranges.push(value)
+        }
+    }
+
+    return ranges
+}
+
+/**
+ * Flip bytes in a shard file, without changing its size
+ * For inlined shards only the shard data in "xl.meta" is changed (of every version, because the data is not ordered by age), the metadata stays readable
+ * @param shard A shard returned by "findShardFiles"
+ * @throws if a inlined shard has no data or "xl.meta" is in a unknown format
+ * @returns The hash of the corrupted file, to detect when it got rewritten
+ */
+async function corruptShardFile(shard) {
+    log(`corruptShardFile: corrupting "${shard.file}"`)
+    const content = await fspromises.readFile(shard.file)
+    const ranges = shard.inline ? findInlineData(content) : [{start: 0, end: content.length}]
+
+    assertion(ranges.length > 0, new Error(`No shard data found in "${shard.file}"`))
+
+    for (const range of ranges) {
+        // the middle of the shard, to not only hit the bitrot hash in front of the data
+        const length = Math.min(CORRUPTED_BYTES, range.end - range.start)
+        const start = range.start + Math.floor((range.end - range.start - length) / 2)
+
+        for (let i = start; i < start + length; i++) {
+            content[i] = content[i] ^ 0xff
+        }
+    }
+
+    await fspromises.writeFile(shard.file, content)
+
+    return hashFile(shard.file)
+}
+
+/**
+ * Get the sha256 of a file, or "undefined" if it does not exist
+ * @param file The File to hash
+ */
+async function hashFile(file) {
+    try {
+        return createHash("sha256").update(await fspromises.readFile(file)).digest("hex")
+    } catch (err) {
+        if (err?.code === "ENOENT") {
+            return undefined
+        }
+
+        throw err
+    }
+}
+
+/**
+ * Run "probe" every "options.interval" ms until it returns "true"
+ * @param what The Thing that is waited for (for the error message)
+ * @param probe The Function to run, returning if healing is done
+ * @param options "interval" and "timeout" in ms
+ * @throws {HealTimeoutError} if "probe" did not return "true" within "options.timeout"
+ */
+async function waitForHealed(what, probe, options = {}) {
+    const interval = options.interval ?? DEFAULT_HEAL_INTERVAL
+    const timeout = options.timeout ?? DEFAULT_HEAL_TIMEOUT
+    const deadline = Date.now() + timeout
+
+    while (Date.now() < deadline) {
+        if (await probe()) {
+            log(`waitForHealed: "${what}" is healed`)
+
+            return
+        }
+
+        await sleep(interval)
+    }
+
+    throw new HealTimeoutError(what, timeout)
+}
+
+module.exports = {
+    DriveFailureModes,
+    failDrive,
+    restoreDrive,
+    findShardFiles,
+    corruptShardFile,
+    hashFile,
+    waitForHealed
+}
@@ -0,0 +1,580 @@
+const debug = require("debug");
+const path = require("path");
+const {promises: fspromises, createReadStream} = require("fs");
+const Minio = require("minio");
+const YAML = require("yaml");
+const {isNullOrUndefined, statPath} = require("./utils");
+const {
+    InvalidBucketDefinitionError,
+    InvalidSeedSourceError
+} = require("./errors");
+
+const log = debug("MinioTST:fixtures")
+
+/**
+ * Statements for the canned anonymous policies (same as "mc anonymous set")
+ * Values are: [BucketActions, ObjectActions]
+ */
+const ANONYMOUS_POLICY_ACTIONS = {
+    download: [
+        ["s3:GetBucketLocation", "s3:ListBucket"],
+        ["s3:GetObject"]
+    ],
+    upload: [
+        ["s3:GetBucketLocation", "s3:ListBucketMultipartUploads"],
+        [
+            "s3:AbortMultipartUpload",
+            "s3:DeleteObject",
+            "s3:ListMultipartUploadParts",
+            "s3:PutObject"
+        ]
+    ],
+    public: [
+        [
+            "s3:GetBucketLocation",
+            "s3:ListBucket",
+            "s3:ListBucketMultipartUploads"
+        ],
+        [
+            "s3:AbortMultipartUpload",
+            "s3:DeleteObject",
+            "s3:GetObject",
+            "s3:ListMultipartUploadParts",
+            "s3:PutObject"
+        ]
+    ]
+}
+
+/**
+ * Convert a bucket definition to a full object
+ * @param bucket The Bucket definition, either just the name or a object with "name"
+ */
+function normalizeBucketDefinition(bucket) {
+    const definition = typeof bucket === "string" ? {name: bucket} : {...bucket}
+
+    if (typeof definition.name !== "string" || definition.name.length === 0) {
+        throw new InvalidBucketDefinitionError(
+            definition.name,
+            '"name" is required to be a non-empty string'
+        )
+    }
+
+    if (!isNullOrUndefined(definition.policy) && !isNullOrUndefined(definition.anonymous)) {
+        throw new InvalidBucketDefinitionError(
+            definition.name,
+            'Only one of "policy" and "anonymous" can be set'
+        )
+    }
+
+    return definition
+}
+
+/**
+ * Generate the policy document for a canned anonymous policy
+ * @param bucketName The Bucket to generate the policy for
+ * @param anonymous The canned policy, one of "download", "upload" or "public"
+ */
+function anonymousPolicy(bucketName, anonymous) {
+    const actions = ANONYMOUS_POLICY_ACTIONS[anonymous]
+
+    if (isNullOrUndefined(actions)) {
+        throw new InvalidBucketDefinitionError(
+            bucketName,
+            `Unknown anonymous policy "${anonymous}", allowed are: "${Object.keys(
+                ANONYMOUS_POLICY_ACTIONS
+            ).join(", ")}"`
+        )
+    }
+
+    return {
+        Version: "2012-10-17",
+        Statement: [
+            {
+                Effect: "Allow",
+                Principal: {AWS: ["*"]},
+                Action: actions[0],
+                Resource: [`arn:aws:s3:::${bucketName}`]
+            },
+            {
+                Effect: "Allow",
+                Principal: {AWS: ["*"]},
+                Action: actions[1],
+                Resource: [`arn:aws:s3:::${bucketName}/*`]
+            }
+        ]
+    }
+}
+
+/**
+ * Convert the "notification" option of a bucket definition to a "Minio.NotificationConfig"
+ * @param bucketName The Bucket the notification is for (for errors)
+ * @param notification Either a "Minio.NotificationConfig" or a array of "{ arn, events, prefix, suffix }"
+ */
+function notificationConfig(bucketName, notification) {
+    if (notification instanceof Minio.NotificationConfig) {
+        return notification
+    }
+
+    if (!Array.isArray(notification)) {
+        throw new InvalidBucketDefinitionError(
+            bucketName,
+            '"notification" is required to be a "NotificationConfig" or an array of targets'
+        )
+    }
+
+    const config = new Minio.NotificationConfig()
+
+    for (const target of notification) {
+        const queue = new Minio.QueueConfig(target.arn)
+
+        for (const event of target.events ?? [Minio.ObjectCreatedAll]) {
+            queue.addEvent(event)
+        }
+
+        if (!!target.prefix) {
+            queue.addFilterPrefix(target.prefix)
+        }
+
+        if (!!target.suffix) {
+            queue.addFilterSuffix(target.suffix)
+        }
+
+        config.add(queue)
+    }
+
+    return config
+}
+
+/**
+ * Create a bucket (if not already existing) and apply all configuration of the definition
+ * @param client The Minio Client to use
+ * @param bucket The Bucket definition
+ * @param region The Region to create the bucket in
+ */
+async function provisionBucket(client, bucket, region) {
+    const definition = normalizeBucketDefinition(bucket)
+    const name = definition.name
+    log(`provisionBucket: provisioning bucket "${name}"`)
+
+    // everything is converted before the first request, so that a invalid definition does not leave a half-provisioned bucket
+    let policy = undefined
+
+    if (!isNullOrUndefined(definition.anonymous) && definition.anonymous !== "none") {
+        policy = JSON.stringify(anonymousPolicy(name, definition.anonymous))
+    } else if (!isNullOrUndefined(definition.policy)) {
+        policy = typeof definition.policy === "string"
+            ? definition.policy
+            : JSON.stringify(definition.policy)
+    }
+
+    const notification = isNullOrUndefined(definition.notification)
+        ? undefined
+        : notificationConfig(name, definition.notification)
+
+    if (await client.bucketExists(name)) {
+        log(`provisionBucket: bucket "${name}" already exists, only applying configuration`)
+    } else {
+        await client.makeBucket(name, region, {
+            ObjectLocking: !!definition.objectLocking
+        })
+    }
+
+    // object locking requires versioning, minio enables it automatically
+    if (!isNullOrUndefined(definition.versioning) && !definition.objectLocking) {
+        let status = definition.versioning
+
+        if (typeof status === "boolean") {
+            status = status ? "Enabled" : "Suspended"
+        }
+
+        await client.setBucketVersioning(name, {Status: status})
+    }
+
+    // a object defines the default retention, "true" only enables object locking (which is done on creation)
+    if (typeof definition.objectLocking === "object") {
+        await client.setObjectLockConfig(name, definition.objectLocking)
+    }
+
+    if (!isNullOrUndefined(definition.tags)) {
+        await client.setBucketTagging(name, definition.tags)
+    }
+
+    if (!isNullOrUndefined(policy)) {
+        await client.setBucketPolicy(name, policy)
+    }
+
+    if (!isNullOrUndefined(notification)) {
+        await client.setBucketNotification(name, notification)
+    }
+
+    return definition
+}
+
+/**
+ * Create and configure all given buckets, in the given order
+ * @param client The Minio Client to use
+ * @param buckets The Bucket definitions
+ * @param region The Region to create the buckets in
+ * @returns The normalized bucket definitions
+ */
+async function provisionBuckets(client, buckets, region) {
+    log(`provisionBuckets: provisioning ${buckets.length} buckets`)
+    const provisioned = []
+
+    for (const bucket of buckets) {
+        provisioned.push(await provisionBucket(client, bucket, region))
+    }
+
+    return provisioned
+}
+
+/**
+ * Recursively list all files in a directory
+ * @param dirPath The Directory to list
+ * @returns Absolute paths of all files
+ */
+async function listFiles(dirPath) {
+    const files = []
+
+    for (const entry of await fspromises.readdir(dirPath, {withFileTypes: true})) {
+        const entryPath = path.join(dirPath, entry.name)
+
+        if (entry.isDirectory()) {
+            files.push(...(await listFiles(entryPath)))
+        } else if (entry.isFile()) {
+            files.push(entryPath)
+        }
+    }
+
+    return files
+}
+
+/**
+ * Convert a fixtures directory to a manifest
+ * Every top-level directory is a bucket, every file below it is a object (key is the relative path)
+ * @param dirPath The fixtures directory
+ */
+async function directoryToManifest(dirPath) {
+    const manifest = {}
+
+    for (const entry of await fspromises.readdir(dirPath, {withFileTypes: true})) {
+        if (!entry.isDirectory()) {
+            log(`directoryToManifest: ignoring top-level non-directory "${entry.name}"`)
+            continue
+        }
+
+        const bucketPath = path.join(dirPath, entry.name)
+
+        manifest[entry.name] = (await listFiles(bucketPath)).map(file => ({
+            // keys always use "/", regardless of the platform
+            key: path.relative(bucketPath, file).split(path.sep).join("/"),
+            file: file
+        }))
+    }
+
+    return manifest
+}
+
+/**
+ * Load a seed source into a manifest
+ * @param source Either a path to a directory / JSON / YAML file, or a manifest object
+ * @returns The Manifest and the directory relative "file" paths are resolved against
+ */
+async function loadSeedSource(source) {
+    if (typeof source === "object" && !isNullOrUndefined(source)) {
+        return {manifest: source, baseDir: process.cwd()}
+    }
+
+    if (typeof source !== "string") {
+        throw new InvalidSeedSourceError(
+            source,
+            "expected a path or a manifest object"
+        )
+    }
+
+    const sourcePath = path.resolve(source)
+    const stat = await statPath(sourcePath)
+
+    if (isNullOrUndefined(stat)) {
+        throw new InvalidSeedSourceError(source, "path does not exist")
+    }
+
+    if (stat.isDirectory()) {
+        return {
+            manifest: await directoryToManifest(sourcePath),
+            baseDir: sourcePath
+        }
+    }
+
+    const content = (await fspromises.readFile(sourcePath)).toString()
+    const baseDir = path.dirname(sourcePath)
+
+    switch (path.extname(sourcePath).toLowerCase()) {
+        case ".json":
+            return {manifest: JSON.parse(content), baseDir}
+        case ".yaml":
+        case ".yml":
+            return {manifest: YAML.parse(content), baseDir}
+        default:
+            throw new InvalidSeedSourceError(
+                source,
+                'manifest files are required to end with ".json", ".yaml" or ".yml"'
+            )
+    }
+}
+
+/**
+ * Upload a single version of a object
+ * @param client The Minio Client to use
+ * @param bucketName The Bucket to upload to
+ * @param key The Object key
+ * @param spec The Object (version) definition
+ * @param baseDir The directory to resolve relative "file" paths against
+ */
+async function putSeedObject(client, bucketName, key, spec, baseDir) {
+    const metaData = {...spec.metadata}
+
+    if (!isNullOrUndefined(spec.contentType)) {
+        metaData["Content-Type"] = spec.contentType
+    }
+
+    if (!isNullOrUndefined(spec.file)) {
+        const filePath = path.resolve(baseDir, spec.file)
+        // not using "fPutObject", because it does not return the upload info (like the versionId)
+        const stat = await fspromises.stat(filePath)
+
+        if (isNullOrUndefined(metaData["Content-Type"])) {
+            metaData["Content-Type"] = contentTypeFromKey(filePath)
+        }
+
+        const info = await client.putObject(
+            bucketName,
+            key,
+            createReadStream(filePath),
+            stat.size,
+            metaData
+        )
+
+        return tagSeedObject(client, bucketName, key, spec, info)
+    }
+
+    let content = spec.content ?? ""
+
+    // non-string & non-buffer content is uploaded as JSON
+    if (typeof content !== "string" && !Buffer.isBuffer(content)) {
+        content = JSON.stringify(content)
+        metaData["Content-Type"] = metaData["Content-Type"] ?? "application/json"
+    }
+
+    if (isNullOrUndefined(metaData["Content-Type"])) {
+        metaData["Content-Type"] = contentTypeFromKey(key)
+    }
+
+    const info = await client.putObject(bucketName, key, content, metaData)
+
+    return tagSeedObject(client, bucketName, key, spec, info)
+}
+
+/**
+ * Set the tags of a uploaded object version, if the definition has any
+ * @param client The Minio Client to use
+ * @param bucketName The Bucket of the object
+ * @param key The Object key
+ * @param spec The Object (version) definition
+ * @param info The Upload info returned by "putObject"
+ * @returns The Upload info
+ */
+async function tagSeedObject(client, bucketName, key, spec, info) {
+    if (isNullOrUndefined(spec.tags)) {
+        return info
+    }
+
+    const putOpts = isNullOrUndefined(info?.versionId) ? {} : {versionId: info.versionId}
+    await client.setObjectTagging(bucketName, key, spec.tags, putOpts)
+
+    return info
+}
+
+/** Content-Types for the most common fixture file extensions */
+const CONTENT_TYPES = {
+    ".json": "application/json",
+    ".txt": "text/plain",
+    ".csv": "text/csv",
+    ".html": "text/html",
+    ".xml": "application/xml",
+    ".yaml": "application/yaml",
+    ".yml": "application/yaml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".pdf": "application/pdf"
+}
+
+/**
+ * Guess the Content-Type from the extension of a key or path
+ * @param key The key or path to get the extension from
+ */
+function contentTypeFromKey(key) {
+    return (
+        CONTENT_TYPES[path.extname(key).toLowerCase()] ?? "application/octet-stream"
+    )
+}
+
+/**
+ * Upload all objects from a seed source
+ * Buckets that do not exist yet are created, versioning is enabled when a object defines multiple "versions"
+ * @param client The Minio Client to use
+ * @param source Either a path to a directory / JSON / YAML file, or a manifest object
+ * @param region The Region to create missing buckets in
+ * @returns All uploaded object versions
+ */
+async function seedObjects(client, source, region) {
+    const {manifest, baseDir} = await loadSeedSource(source)
+    const uploaded = []
+
+    for (const [bucketName, objects] of Object.entries(manifest ?? {})) {
+        if (!Array.isArray(objects)) {
+            throw new InvalidSeedSourceError(
+                source,
+                `bucket "${bucketName}" is required to be a array of objects`
+            )
+        }
+
+        log(`seedObjects: seeding ${objects.length} objects into "${bucketName}"`)
+
+        if (!(await client.bucketExists(bucketName))) {
+            await client.makeBucket(bucketName, region)
+        }
+
+        const needsVersioning = objects.some(
+            obj => Array.isArray(obj.versions) && obj.versions.length > 1
+        )
+
+        if (
+            needsVersioning &&
+            (await client.getBucketVersioning(bucketName))?.Status !== "Enabled"
+        ) {
+            log(`seedObjects: enabling versioning for "${bucketName}"`)
+            await client.setBucketVersioning(bucketName, {Status: "Enabled"})
+        }
+
+        for (const obj of objects) {
+            if (typeof obj.key !== "string" || obj.key.length === 0) {
+                throw new InvalidSeedSourceError(
+                    source,
+                    `a object in bucket "${bucketName}" is missing "key"`
+                )
+            }
+
+            // versions are uploaded oldest first, so that the last one is the latest
+            const versions = Array.isArray(obj.versions)
+                ? obj.versions.map(version => ({...obj, versions: undefined, ...version}))
+                : [obj]
+
+            for (const version of versions) {
+                const info = await putSeedObject(client, bucketName, obj.key, version, baseDir)
+
+                uploaded.push({
+                    bucket: bucketName,
+                    key: obj.key,
+                    etag: info?.etag,
+                    versionId: info?.versionId ?? undefined
+                })
+            }
+        }
+    }
+
+    return uploaded
+}
+
+/**
+ * Collect all entries of a object-mode stream (like "listObjects")
+ * @param stream The Stream to collect
+ */
+async function streamToArray(stream) {
+    return new Promise((res, rej) => {
+        const entries = []
+        stream.on("data", entry => entries.push(entry))
+        stream.on("error", rej)
+        stream.on("end", () => res(entries))
+    })
+}
+
+/**
+ * Remove every object, object version, delete marker and incomplete multipart upload from a bucket
+ * @param client The Minio Client to use
+ * @param bucketName The Bucket to empty
+ */
+async function emptyBucket(client, bucketName) {
+    const uploads = await streamToArray(
+        client.listIncompleteUploads(bucketName, "", true)
+    )
+
+    for (const upload of uploads) {
+        // "removeIncompleteUpload" only aborts the latest upload of a key, so it is called once per upload
+        await client.removeIncompleteUpload(bucketName, upload.key)
+    }
+
+    const versions = (
+        await streamToArray(
+            client.listObjects(bucketName, "", true, {IncludeVersion: true})
+        )
+    ).filter(obj => !isNullOrUndefined(obj.name)) // filter out prefixes
+
+    if (versions.length === 0) {
+        return
+    }
+
+    log(`emptyBucket: removing ${versions.length} object versions from "${bucketName}"`)
+    const failed = await client.removeObjects(
+        bucketName,
+        versions.map(obj => ({name: obj.name, versionId: obj.versionId}))
+    )
+
+    // objects under governance retention cannot be removed in bulk, so retry them one by one with bypass
+    for (const obj of failed.filter(res => !isNullOrUndefined(res?.Key))) {
+        await client.removeObject(bucketName, obj.Key, {
+            versionId: obj.VersionId,
+            governanceBypass: true
+        })
+    }
+}
+
+/**
+ * Remove all data from the instance, without restarting it
+ * @param client The Minio Client to use
+ * @param options.keepBuckets Buckets that only get emptied, but not removed
+ * @returns The names of the removed buckets
+ */
+async function resetData(client, options = {}) {
+    const keepBuckets = options.keepBuckets ?? []
+    const removed = []
+
+    for (const bucket of await client.listBuckets()) {
+        await emptyBucket(client, bucket.name)
+
+        if (keepBuckets.includes(bucket.name)) {
+            log(`resetData: keeping bucket "${bucket.name}"`)
+            continue
+        }
+
+        await client.removeBucket(bucket.name)
+        removed.push(bucket.name)
+    }
+
+    return removed
+}
+
+module.exports = {
+    normalizeBucketDefinition,
+    anonymousPolicy,
+    notificationConfig,
+    provisionBucket,
+    provisionBuckets,
+    loadSeedSource,
+    seedObjects,
+    emptyBucket,
+    resetData
+}
@@ -0,0 +1,165 @@
+const {randomBytes} = require("crypto");
+const {isNullOrUndefined} = require("./utils");
+const {InvalidAccessKeyExpiryError, InvalidPolicyError} = require("./errors");
+
+/** The longest expiry minio accepts for access keys */
+const MAX_ACCESS_KEY_EXPIRY = 1000 * 60 * 60 * 24 * 365
+
+/**
+ * Actions for the "access" levels of "bucketAccessPolicy"
+ * Values are: [BucketActions, ObjectActions]
+ */
+const BUCKET_ACCESS_ACTIONS = {
+    read: [
+        ["s3:ListBucket"],
+        ["s3:GetObject"]
+    ],
+    write: [
+        ["s3:ListBucketMultipartUploads"],
+        [
+            "s3:AbortMultipartUpload",
+            "s3:DeleteObject",
+            "s3:ListMultipartUploadParts",
+            "s3:PutObject"
+        ]
+    ],
+    readwrite: [
+        ["s3:ListBucket", "s3:ListBucketMultipartUploads"],
+        [
+            "s3:AbortMultipartUpload",
+            "s3:DeleteObject",
+            "s3:GetObject",
+            "s3:ListMultipartUploadParts",
+            "s3:PutObject"
+        ]
+    ]
+}
+
+/**
+ * Generate a IAM policy document which only allows access to one bucket, or a prefix in it
+ * @param bucket The Bucket to allow access to
+ * @param options "prefix" to restrict access to keys starting with it, "access" one of "read", "write" or "readwrite" (default)
+ */
+function bucketAccessPolicy(bucket, options = {}) {
+    const access = options.access ?? "readwrite"
+    const actions = BUCKET_ACCESS_ACTIONS[access]
+
+    if (typeof bucket !== "string" || bucket.length === 0) {
+        throw new InvalidPolicyError('"bucket" is required to be a non-empty string')
+    }
+
+    if (isNullOrUndefined(actions)) {
+        throw new InvalidPolicyError(
+            `Unknown access "${access}", allowed are: "${Object.keys(BUCKET_ACCESS_ACTIONS).join(", ")}"`
+        )
+    }
+
+    const prefix = options.prefix ?? ""
+    const restrictListing = prefix.length > 0 && actions[0].includes("s3:ListBucket")
+    const statements = [
+        {
+            Effect: "Allow",
+            Action: [
+                "s3:GetBucketLocation",
+                ...actions[0].filter(action => !restrictListing || action !== "s3:ListBucket")
+            ],
+            Resource: [`arn:aws:s3:::${bucket}`]
+        }
+    ]
+
+    // listing is restricted to the prefix too, otherwise other tenants keys would be visible
+    // it needs its own statement, because the condition would also deny the other bucket actions (which have no "s3:prefix")
+    if (restrictListing) {
+        statements.push({
+            Effect: "Allow",
+            Action: ["s3:ListBucket"],
+            Resource: [`arn:aws:s3:::${bucket}`],
+            Condition: {StringLike: {"s3:prefix": [`${prefix}*`]}}
+        })
+    }
+
+    statements.push({
+        Effect: "Allow",
+        Action: actions[1],
+        Resource: [`arn:aws:s3:::${bucket}/${prefix}*`]
+    })
+
+    return {
+        Version: "2012-10-17",
+        Statement: statements
+    }
+}
+
+/**
+ * Convert a policy definition to a name and (if it needs to be created) a document
+ * @param policy Either the name of a existing policy (like "readwrite"), a policy document (with "Statement"), or "{ bucket, prefix, access }"
+ * @returns The "name" of the policy and the "document", which is "undefined" for existing policies
+ */
+function normalizePolicy(policy) {
+    if (typeof policy === "string") {
+        return {name: policy, document: undefined}
+    }
+
+    if (typeof policy !== "object" || isNullOrUndefined(policy)) {
+        throw new InvalidPolicyError(
+            "A policy is required to be a name, a policy document or a bucket access definition"
+        )
+    }
+
+    const name = policy.name ?? `minio-tst-policy-${randomBytes(6).toString("hex")}`
+
+    if (Array.isArray(policy.Statement)) {
+        const {name: _name, ...document} = policy
+
+        return {name, document}
+    }
+
+    return {name, document: bucketAccessPolicy(policy.bucket, policy)}
+}
+
+/**
+ * Convert a policy definition to a document that is sent along with a request (like for access keys and sessions)
+ * @param policy A policy document or "{ bucket, prefix, access }", names are not supported
+ * @returns The Policy document, "undefined" if "policy" is not set
+ */
+function inlinePolicy(policy) {
+    if (isNullOrUndefined(policy)) {
+        return undefined
+    }
+
+    if (typeof policy === "string") {
+        throw new InvalidPolicyError(
+            "Only a policy document or a bucket access definition can be used here, not a policy name"
+        )
+    }
+
+    return normalizePolicy(policy).document
+}
+
+/**
+ * Calculate the expiration of a access key
+ * @param expiresIn The Lifetime in ms, or the expiration as "Date"
+ * @throws {InvalidAccessKeyExpiryError} if the expiration is not in the future, or more than 365 days away
+ * @returns The Expiration as "Date", "undefined" if "expiresIn" is not set
+ */
+function accessKeyExpiration(expiresIn) {
+    if (isNullOrUndefined(expiresIn)) {
+        return undefined
+    }
+
+    const expiration = expiresIn instanceof Date ? expiresIn : new Date(Date.now() + expiresIn)
+    const lifetime = expiration.getTime() - Date.now()
+
+    if (!(lifetime > 0 && lifetime <= MAX_ACCESS_KEY_EXPIRY)) {
+        throw new InvalidAccessKeyExpiryError(lifetime, MAX_ACCESS_KEY_EXPIRY)
+    }
+
+    return expiration
+}
+
+module.exports = {
+    bucketAccessPolicy,
+    normalizePolicy,
+    inlinePolicy,
+    accessKeyExpiration
+}
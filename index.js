@@ -1 +1,11 @@
-module.exports = require('./MinioServer.js');
+module.exports = {
+    ...require('./MinioServer.js'),
+    ...require('./MinioCluster.js'),
+    ...require('./MinioAdmin.js'),
+    ...require('./MinioOIDC.js'),
+    ...require('./MinioEvents.js'),
+    ...require('./MinioAudit.js'),
+    ...require('./MinioLogs.js'),
+    bucketAccessPolicy: require('./iam.js').bucketAccessPolicy,
+    diffMetrics: require('./metrics.js').diffMetrics
+};
@@ -0,0 +1,222 @@
+const debug = require("debug");
+const {createHmac} = require("crypto");
+const {base64url, httpRequest, isNullOrUndefined} = require("./utils");
+const {MetricsRequestError} = require("./errors");
+
+const log = debug("MinioTST:metrics")
+
+/**
+ * The Prometheus endpoint of every scope
+ * The v2 endpoints are cached by minio for a few seconds, "requests" is a (uncached) v3 endpoint
+ */
+const METRICS_PATHS = {
+    cluster: "/minio/v2/metrics/cluster",
+    node: "/minio/v2/metrics/node",
+    bucket: "/minio/v2/metrics/bucket",
+    requests: "/minio/metrics/v3/api/requests"
+}
+/** All scopes that can be scraped */
+const METRICS_SCOPES = Object.keys(METRICS_PATHS)
+/** All values "instance.metricsAuth" can have */
+const METRICS_AUTH_TYPES = ["jwt", "public"]
+/** How long the generated bearer tokens are valid, in seconds */
+const TOKEN_EXPIRY = 60 * 60
+/** The v3 Metric of the request counts, labeled by "name" (like "PutObject") */
+const API_REQUESTS_METRIC = "minio_api_requests_total"
+/** The v2 Metric of the S3 request counts, labeled by "api" (like "putobject") */
+const S3_REQUESTS_METRIC = "minio_s3_requests_total"
+
+/**
+ * Generate the bearer token minio accepts for its Prometheus endpoints ("mc admin prometheus generate")
+ * @param credentials "accessKey" and "secretKey" of a user with the "admin:Prometheus" permission
+ */
+function prometheusToken(credentials) {
+    const now = Math.floor(Date.now() / 1000)
+    const signingInput =
+        `${base64url({alg: "HS512", typ: "JWT"})}.` +
+        base64url({exp: now + TOKEN_EXPIRY, sub: credentials.accessKey, iss: "prometheus"})
+    const signature = base64url(createHmac("sha512", credentials.secretKey).update(signingInput).digest())
+
+    return `${signingInput}.${signature}`
+}
+
+/**
+ * Parse the labels of a sample, like '{api="putobject",server="127.0.0.1:9000"}'
+ * @param str The Labels without the braces
+ */
+function parseLabels(str) {
+    const labels = {}
+    const regex = /\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"\s*,?/g
+    let match
+
+    while (!isNullOrUndefined((match = regex.exec(str)))) {
+        labels[match[1]] = match[2].replace(/\\(.)/g, (_, c) => (c === "n" ? "\n" : c))
+    }
+
+    return labels
+}
+
+/**
+ * Parse the value of a sample, Prometheus writes infinity as "+Inf" / "-Inf"
+ * @param str The Value as text
+ */
+function parseValue(str) {
+    switch (str) {
+        case "+Inf":
+            return Infinity
+        case "-Inf":
+            return -Infinity
+        default:
+            return Number(str) // also handles "NaN"
+    }
+}
+
+/**
+ * Parse the Prometheus text format
+ * @param text The Response of a metrics endpoint
+ * @returns A object with the metric name as key and "{ name, help, type, samples: [{ labels, value }] }" as value
+ */
+function parseMetrics(text) {
+    const metrics = {}
+    const getMetric = name => {
+        if (isNullOrUndefined(metrics[name])) {
+            metrics[name] = {name, help: undefined, type: undefined, samples: []}
+        }
+
+        return metrics[name]
+    }
+
+    for (const rawLine of text.split("\n")) {
+        const line = rawLine.trim()
+
+        if (line.length === 0) {
+            continue
+        }
+
+        const comment = /^#\s*(HELP|TYPE)\s+(\S+)\s*(.*)$/.exec(line)
+
+        if (!isNullOrUndefined(comment)) {
+            getMetric(comment[2])[comment[1] === "HELP" ? "help" : "type"] = comment[3]
+            continue
+        }
+
+        if (line.startsWith("#")) {
+            continue
+        }
+
+        const sample = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)/.exec(line)
+
+        if (isNullOrUndefined(sample)) {
+            log(`parseMetrics: ignoring unparsable line "${line}"`)
+            continue
+        }
+
+        getMetric(sample[1]).samples.push({
+            labels: parseLabels(sample[2] ?? ""),
+            value: parseValue(sample[3])
+        })
+    }
+
+    return metrics
+}
+
+/**
+ * Scrape the Prometheus endpoints of a instance
+ * @param connection "endpoint" and "ca" of the instance
+ * @param credentials The Credentials to generate the bearer token with, "undefined" for public auth
+ * @param scopes The Scopes to scrape, see "METRICS_SCOPES"
+ * @throws {MetricsRequestError} if minio responds with a non-200 status code
+ * @returns The parsed metrics per scope, and the "time" of the scrape ("requests" is missing for minio versions without the v3 endpoints)
+ */
+async function scrapeMetrics(connection, credentials, scopes = METRICS_SCOPES) {
+    const headers = isNullOrUndefined(credentials)
+        ? {}
+        : {authorization: `Bearer ${prometheusToken(credentials)}`}
+    const result = {time: new Date()}
+
+    for (const scope of scopes) {
+        log(`scrapeMetrics: scraping "${scope}"`)
+        const url = new URL(`${connection.endpoint}${METRICS_PATHS[scope]}`)
+        const res = await httpRequest(url, {method: "GET", headers, ca: connection.ca})
+
+        // older minio versions only have the v2 endpoints, "diffMetrics" falls back to them
+        if (scope === "requests" && res.statusCode === 404) {
+            log('scrapeMetrics: minio has no v3 endpoints, skipping "requests"')
+            continue
+        }
+
+        if (res.statusCode !== 200) {
+            throw new MetricsRequestError(scope, res.statusCode, res.body.toString())
+        }
+
+        result[scope] = parseMetrics(res.body.toString())
+    }
+
+    return result
+}
+
+/**
+ * Create a key that identifies a sample by its labels
+ * @param labels The Labels of the sample
+ */
+function labelsKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)))
+}
+
+/**
+ * Calculate the difference between two scrapes, like before and after a test
+ * @param before The Result of "server.metrics()" before
+ * @param after The Result of "server.metrics()" after
+ * @returns "requests" (S3 requests per api, like "{ listobjectsv2: 2 }") and "metrics" (per scope, the samples whose value changed, with "value" being the difference)
+ * The "requests" are counted from the uncached v3 "requests" scope, the cached v2 "cluster" / "node" scopes are only used without it
+ */
+function diffMetrics(before, after) {
+    const metrics = {}
+
+    for (const scope of METRICS_SCOPES) {
+        if (isNullOrUndefined(after[scope])) {
+            continue
+        }
+
+        metrics[scope] = {}
+
+        for (const [name, metric] of Object.entries(after[scope])) {
+            const previous = new Map(
+                (before[scope]?.[name]?.samples ?? []).map(sample => [labelsKey(sample.labels), sample.value])
+            )
+            const samples = metric.samples
+                .map(sample => ({
+                    labels: sample.labels,
+                    value: sample.value - (previous.get(labelsKey(sample.labels)) ?? 0)
+                }))
+                .filter(sample => sample.value !== 0 && !Number.isNaN(sample.value))
+
+            if (samples.length > 0) {
+                metrics[scope][name] = {...metric, samples}
+            }
+        }
+    }
+
+    const requests = {}
+    // the v2 cluster scope sums up all nodes, the node scope is used when only it was scraped
+    const [requestSamples, apiLabel] = !isNullOrUndefined(metrics.requests)
+        ? [metrics.requests[API_REQUESTS_METRIC]?.samples ?? [], "name"]
+        : [(metrics.cluster ?? metrics.node)?.[S3_REQUESTS_METRIC]?.samples ?? [], "api"]
+
+    for (const sample of requestSamples) {
+        // v3 uses names like "ListObjectsV2", v2 like "listobjectsv2"
+        const api = (sample.labels[apiLabel] ?? "unknown").toLowerCase()
+        requests[api] = (requests[api] ?? 0) + sample.value
+    }
+
+    return {requests, metrics}
+}
+
+module.exports = {
+    METRICS_SCOPES,
+    METRICS_AUTH_TYPES,
+    prometheusToken,
+    parseMetrics,
+    scrapeMetrics,
+    diffMetrics
+}
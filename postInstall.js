@@ -3,7 +3,7 @@
 
 const {homedir} = require("os");
 const {resolve} = require("path");
-const {MinioBinary} = require("./MinioBinary");
+const {MinioBinary, MinioBinaryNames} = require("./MinioBinary");
 const minioBinary = new MinioBinary();
 const {
     envName,
@@ -59,6 +59,21 @@ async function postInstallEnsureBinary(version, local) {
         process.exit(0) // Exiting with "0" to not fail the install (because it is an problem that can be solved otherwise)
     })
     console.log(`Minio-Test-Server* found binary: "${binPath}"`)
+
+    // "mc" is only needed for "server.mc()", so it is only downloaded when requested
+    if (envToBool(resolveConfig(ResolveConfigVariables.MC_POSTINSTALL))) {
+        const mcPath = await minioBinary
+            .getPath({binaryName: MinioBinaryNames.mc})
+            .catch(err => {
+                console.warn(
+                    "Minio-Test-Server* failed to find a mc binary:\n",
+                    err.message,
+                    err.stack
+                )
+                process.exit(0)
+            })
+        console.log(`Minio-Test-Server* found mc binary: "${mcPath}"`)
+    }
 }
 
 module.exports = {
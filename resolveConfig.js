@@ -31,16 +31,24 @@ let ResolveConfigVariables
         "USE_ARCHIVE_NAME_FOR_BINARY_NAME"
     ResolveConfigVariables["MAX_REDIRECTS"] = "MAX_REDIRECTS"
     ResolveConfigVariables["DISTRO"] = "DISTRO"
+    ResolveConfigVariables["MC_VERSION"] = "MC_VERSION"
+    ResolveConfigVariables["MC_DOWNLOAD_MIRROR"] = "MC_DOWNLOAD_MIRROR"
+    ResolveConfigVariables["MC_SYSTEM_BINARY"] = "MC_SYSTEM_BINARY"
+    ResolveConfigVariables["MC_POSTINSTALL"] = "MC_POSTINSTALL"
 })(ResolveConfigVariables || (ResolveConfigVariables = {}))
 
 /** The Prefix for Environmental values */
 const ENV_CONFIG_PREFIX = "MINIOTST_"
 /** This Value exists here, because "defaultValues" can be changed with "setDefaultValue", but this property is constant */
 const DEFAULT_VERSION = "minio.RELEASE.2024-10-02T17-50-41Z"
+/** Same as "DEFAULT_VERSION", but for the "mc" binary */
+const DEFAULT_MC_VERSION = "mc.RELEASE.2024-10-02T08-27-28Z"
 /** Default values for some config options that require explicit setting, it is constant so that the default values cannot be interfered with */
 const defaultValues = new Map([
     // apply app-default values here
     [ResolveConfigVariables.VERSION, DEFAULT_VERSION],
+    [ResolveConfigVariables.MC_VERSION, DEFAULT_MC_VERSION],
+    [ResolveConfigVariables.MC_POSTINSTALL, "false"],
     [ResolveConfigVariables.PREFER_GLOBAL_PATH, "true"],
     [ResolveConfigVariables.RUNTIME_DOWNLOAD, "true"],
     [ResolveConfigVariables.USE_HTTP, "false"],
@@ -183,6 +191,8 @@ if (
 
 module.exports = {
     ResolveConfigVariables,
+    DEFAULT_VERSION,
+    DEFAULT_MC_VERSION,
     findPackageJson,
     resolveConfig,
     envName,
@@ -0,0 +1,107 @@
+const {createHash, createHmac} = require("crypto");
+
+/** The Algorithm name used in the "Authorization" header */
+const SIGV4_ALGORITHM = "AWS4-HMAC-SHA256"
+
+/**
+ * Get the sha256 of "data" as hex
+ * @param data The Data to hash
+ */
+function sha256Hex(data) {
+    return createHash("sha256").update(data).digest("hex")
+}
+
+/**
+ * Get the hmac-sha256 of "data"
+ * @param key The Key to use
+ * @param data The Data to sign
+ */
+function hmac(key, data) {
+    return createHmac("sha256", key).update(data).digest()
+}
+
+/**
+ * Encode a string like the AWS uri encoding (RFC 3986, everything except unreserved characters)
+ * @param str The String to encode
+ * @param encodeSlash Whether "/" should be encoded (not for paths)
+ */
+function uriEncode(str, encodeSlash = true) {
+    const encoded = encodeURIComponent(str).replace(
+        /[!'()*]/g,
+        c => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+    )
+
+    return encodeSlash ? encoded : encoded.replace(/%2F/g, "/")
+}
+
+/**
+ * Create the canonical query string, sorted by key and value
+ * @param query The Query parameters as object
+ */
+function canonicalQuery(query = {}) {
+    return Object.entries(query)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [uriEncode(key), uriEncode(String(value))])
+        .sort(([ak, av], [bk, bv]) => (ak === bk ? (av < bv ? -1 : 1) : ak < bk ? -1 : 1))
+        .map(([key, value]) => `${key}=${value}`)
+        .join("&")
+}
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * @param request "method", "path" (not encoded), "query" (object), "headers" (object, needs to include "host") and "body"
+ * @param credentials "accessKey", "secretKey" and optionally "sessionToken"
+ * @param region The Region to sign for
+ * @param service The Service to sign for
+ * @param date The Date to sign with (mainly for testing)
+ * @returns The headers to send, including "authorization", "x-amz-date" and "x-amz-content-sha256"
+ */
+function signV4(request, credentials, region, service = "s3", date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, "") // like "20240101T000000Z"
+    const shortDate = amzDate.substring(0, 8)
+    const payloadHash = sha256Hex(request.body ?? "")
+
+    const headers = {}
+
+    for (const [key, value] of Object.entries(request.headers ?? {})) {
+        headers[key.toLowerCase()] = String(value).trim()
+    }
+
+    headers["x-amz-date"] = amzDate
+    headers["x-amz-content-sha256"] = payloadHash
+
+    if (credentials.sessionToken) {
+        headers["x-amz-security-token"] = credentials.sessionToken
+    }
+
+    const signedHeaderNames = Object.keys(headers).sort()
+    const canonicalRequest = [
+        request.method.toUpperCase(),
+        uriEncode(request.path, false),
+        canonicalQuery(request.query),
+        signedHeaderNames.map(name => `${name}:${headers[name]}\n`).join(""),
+        signedHeaderNames.join(";"),
+        payloadHash
+    ].join("\n")
+
+    const scope = `${shortDate}/${region}/${service}/aws4_request`
+    const stringToSign = [SIGV4_ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join("\n")
+
+    const signingKey = hmac(
+        hmac(hmac(hmac(`AWS4${credentials.secretKey}`, shortDate), region), service),
+        "aws4_request"
+    )
+    const signature = hmac(signingKey, stringToSign).toString("hex")
+
+    headers["authorization"] =
+        `${SIGV4_ALGORITHM} Credential=${credentials.accessKey}/${scope}, ` +
+        `SignedHeaders=${signedHeaderNames.join(";")}, Signature=${signature}`
+
+    return headers
+}
+
+module.exports = {
+    sha256Hex,
+    canonicalQuery,
+    signV4
+}
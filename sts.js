@@ -0,0 +1,122 @@
+const debug = require("debug");
+const {signV4} = require("./signature");
+const {httpRequest, isNullOrUndefined} = require("./utils");
+const {STSRequestError} = require("./errors");
+
+const log = debug("MinioTST:sts")
+
+/** The STS API Version minio implements */
+const STS_VERSION = "2011-06-15"
+/** The predefined XML entities */
+const XML_ENTITIES = {
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    amp: "&"
+}
+
+/**
+ * Get the (decoded) text of the first "tag" element
+ * minio (go's "encoding/xml") escapes quotes and whitespace with character references like "&#34;" and "&#xA;"
+ * @param xml The XML to search
+ * @param tag The Name of the element
+ */
+function xmlValue(xml, tag) {
+    const value = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml)?.[1]
+
+    // a single pass, so that a escaped "&" is not decoded again (like "&amp;lt;")
+    return value?.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (entity, name) => {
+        if (name.startsWith("#x")) {
+            return String.fromCodePoint(parseInt(name.slice(2), 16))
+        }
+
+        if (name.startsWith("#")) {
+            return String.fromCodePoint(parseInt(name.slice(1), 10))
+        }
+
+        return XML_ENTITIES[name] ?? entity
+    })
+}
+
+/**
+ * Send a request to the STS API
+ * @param connection "endpoint", "region" and "ca" of the instance
+ * @param params The Form parameters, "Action" is required
+ * @param credentials The Credentials to sign with, unsigned if not set (like for "AssumeRoleWithWebIdentity")
+ * @throws {STSRequestError} if minio responds with a non-2xx status code
+ * @returns The temporary Credentials: "accessKey", "secretKey", "sessionToken" and "expiration" ("Date")
+ */
+async function stsRequest(connection, params, credentials) {
+    log(`stsRequest: ${params.Action}`)
+    const url = new URL(`${connection.endpoint}/`)
+    const form = new URLSearchParams()
+
+    for (const [key, value] of Object.entries({Version: STS_VERSION, ...params})) {
+        if (!isNullOrUndefined(value)) {
+            form.set(key, String(value))
+        }
+    }
+
+    const body = Buffer.from(form.toString())
+    let headers = {
+        host: url.host,
+        "content-type": "application/x-www-form-urlencoded"
+    }
+
+    if (!isNullOrUndefined(credentials)) {
+        headers = signV4(
+            {method: "POST", path: url.pathname, headers, body},
+            credentials,
+            connection.region,
+            "sts"
+        )
+    }
+
+    const res = await httpRequest(url, {
+        method: "POST",
+        headers: {...headers, "content-length": body.length},
+        ca: connection.ca
+    }, body)
+    const xml = res.body.toString()
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw new STSRequestError(
+            params.Action,
+            res.statusCode,
+            xmlValue(xml, "Code"),
+            xmlValue(xml, "Message") ?? xml
+        )
+    }
+
+    return {
+        accessKey: xmlValue(xml, "AccessKeyId"),
+        secretKey: xmlValue(xml, "SecretAccessKey"),
+        sessionToken: xmlValue(xml, "SessionToken"),
+        expiration: new Date(xmlValue(xml, "Expiration"))
+    }
+}
+
+/**
+ * Get temporary credentials for the user of "credentials"
+ * @param connection "endpoint", "region" and "ca" of the instance
+ * @param credentials "accessKey" and "secretKey" of the user to assume
+ * @param options "durationSeconds" and "policy" (a document, restricting the permissions of the user)
+ */
+async function assumeRole(connection, credentials, options = {}) {
+    return stsRequest(
+        connection,
+        {
+            Action: "AssumeRole",
+            DurationSeconds: options.durationSeconds,
+            Policy: isNullOrUndefined(options.policy) ? undefined : JSON.stringify(options.policy)
+        },
+        credentials
+    )
+}
+
+module.exports = {
+    xmlValue,
+    stsRequest,
+    assumeRole
+}
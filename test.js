@@ -12,17 +12,18 @@ const run = async () => {
     }
     fs.mkdirSync(dataPath);
     minioServerInstance = await minioServer.create({
-        instance: {port: 63208, dataPath: dataPath},
+        instance: {dataPath: dataPath},
     });
     console.log('Minio server started');
+    const {endpoint, accessKey, secretKey, region, forcePathStyle} = minioServerInstance.getConnectionInfo();
     const s3Client = new S3Client({
         credentials: {
-            accessKeyId: 'minioadmin',
-            secretAccessKey: 'minioadmin'
+            accessKeyId: accessKey,
+            secretAccessKey: secretKey
         },
-        endpoint: 'http://127.0.0.1:63208',
-        region: 'us-east-1',
-        forcePathStyle: true
+        endpoint,
+        region,
+        forcePathStyle
     });
     // random bucket name
     const bucketName = 'bucket-' + Math.random().toString(36).substring(7);
@@ -0,0 +1,54 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {MinioAdmin} = require("../MinioAdmin");
+const {GenericMMSError} = require("../errors");
+
+/**
+ * Create a admin for a fake instance, whose health probes return "statusCodes" in order (the last one repeats)
+ * @param t The Test context, to mock "request"
+ * @param statusCodes The Status codes of the health probes
+ */
+function createAdmin(t, statusCodes) {
+    const probes = []
+    const instance = {
+        getHealthEndpoints: () => ["/minio/health/live"],
+        probeHealth: async () => {
+            probes.push(Date.now())
+
+            return {statusCode: statusCodes[Math.min(probes.length, statusCodes.length) - 1]}
+        }
+    }
+    const admin = new MinioAdmin({instanceInfo: {instance}})
+    t.mock.method(admin, "request", async () => ({statusCode: 200}))
+
+    return {admin, probes}
+}
+
+describe("MinioAdmin.restart", () => {
+    it("should resolve as soon as the instance is ready again after being down", async t => {
+        const {admin, probes} = createAdmin(t, [200, 503, 503, 200])
+        const started = Date.now()
+
+        await admin.restart({interval: 10})
+
+        assert.equal(probes.length, 4)
+        assert.ok(Date.now() - started < 500)
+    })
+
+    it("should not wait for the instance to go down if it never was seen down", async t => {
+        const {admin, probes} = createAdmin(t, [200])
+        const started = Date.now()
+
+        await admin.restart({interval: 50})
+
+        assert.ok(Date.now() - started >= 1000)
+        assert.ok(Date.now() - started < 2000)
+        assert.ok(probes.length > 1)
+    })
+
+    it("should throw if the instance does not get ready within the timeout", async t => {
+        const {admin} = createAdmin(t, [503])
+
+        await assert.rejects(admin.restart({interval: 10, timeout: 100}), GenericMMSError)
+    })
+})
@@ -0,0 +1,113 @@
+const {afterEach, beforeEach, describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {MinioAudit} = require("../MinioAudit");
+const {httpRequest} = require("../utils");
+const {WebhookTimeoutError} = require("../errors");
+
+/**
+ * Create a audit record like minio sends it (recorded with "MINIO_AUDIT_WEBHOOK_ENABLE")
+ * @param name The API name, like "PutObject"
+ * @param bucket The Bucket name
+ * @param accessKey The Access Key of the request
+ */
+function auditRecord(name, bucket, accessKey = "minioadmin") {
+    return {
+        version: "1",
+        deploymentid: "0b2a3c7e-6b3f-4c64-9f0a-3f2b1a9d8e7c",
+        time: "2024-10-02T08:30:00.123456789Z",
+        event: "",
+        trigger: "incoming",
+        api: {
+            name,
+            bucket,
+            object: "a.txt",
+            status: "OK",
+            statusCode: 200,
+            rx: 5,
+            tx: 0,
+            timeToResponse: "2418000ns"
+        },
+        remotehost: "127.0.0.1",
+        requestID: "17FA6C3B5D7E2C4A",
+        userAgent: "MinIO (linux; amd64) minio-js/8.0.1",
+        requestClaims: {},
+        accessKey,
+        parentUser: accessKey === "minioadmin" ? undefined : "minioadmin"
+    }
+}
+
+describe("MinioAudit", () => {
+    let audit = undefined
+
+    /**
+     * Post a body to the collector, like minio does
+     * @param body The Body to post
+     */
+    async function post(body) {
+        await httpRequest(
+            new URL(audit.getEndpoint()),
+            {method: "POST", headers: {"Content-Type": "application/json"}},
+            JSON.stringify(body)
+        )
+    }
+
+    beforeEach(async () => {
+        audit = new MinioAudit()
+        await audit.start()
+    })
+
+    afterEach(async () => {
+        await audit.stop()
+    })
+
+    it("should convert a single record to a entry", async () => {
+        await post(auditRecord("PutObject", "uploads", "tenant-a"))
+
+        assert.deepEqual(audit.entries().map(({record, ...entry}) => entry), [
+            {
+                time: new Date("2024-10-02T08:30:00.123Z"),
+                api: "PutObject",
+                bucket: "uploads",
+                object: "a.txt",
+                status: "OK",
+                statusCode: 200,
+                accessKey: "tenant-a",
+                parentUser: "minioadmin",
+                remoteHost: "127.0.0.1",
+                requestID: "17FA6C3B5D7E2C4A"
+            }
+        ])
+    })
+
+    it("should accept a batch of records and filter by api, bucket and access key", async () => {
+        await post([
+            auditRecord("PutObject", "uploads"),
+            auditRecord("GetObject", "uploads", "tenant-a"),
+            auditRecord("PutObject", "other", "tenant-a")
+        ])
+
+        assert.equal(audit.entries().length, 3)
+        assert.deepEqual(audit.entries({api: "PutObject"}).map(entry => entry.bucket), ["uploads", "other"])
+        assert.deepEqual(audit.entries({accessKey: "tenant-a", bucket: "uploads"}).map(entry => entry.api), ["GetObject"])
+        assert.deepEqual(audit.entries({api: "DeleteObject"}), [])
+    })
+
+    it("should wait for a entry that arrives later", async () => {
+        await post(auditRecord("PutObject", "uploads"))
+        const waiting = audit.waitForEntry({api: "GetObject", accessKey: "tenant-a"})
+        await post(auditRecord("GetObject", "uploads"))
+        await post(auditRecord("GetObject", "uploads", "tenant-a"))
+
+        assert.equal((await waiting).accessKey, "tenant-a")
+        assert.equal((await audit.waitForEntry({api: "PutObject"})).bucket, "uploads")
+        await assert.rejects(audit.waitForEntry({api: "DeleteObject", timeout: 50}), WebhookTimeoutError)
+    })
+
+    it("should keep the entries across restarts", async () => {
+        await post(auditRecord("PutObject", "uploads"))
+        await audit.stop()
+        await audit.start()
+
+        assert.equal(audit.entries().length, 1)
+    })
+})
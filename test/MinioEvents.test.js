@@ -0,0 +1,108 @@
+const {afterEach, beforeEach, describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {MinioEvents} = require("../MinioEvents");
+const {httpRequest} = require("../utils");
+const {WebhookTimeoutError} = require("../errors");
+
+/**
+ * Create a notification like minio sends it (recorded from "mc event add" with a webhook target)
+ * @param eventName The Event name, like "s3:ObjectCreated:Put"
+ * @param bucket The Bucket name
+ * @param key The url-encoded object key
+ */
+function notification(eventName, bucket, key) {
+    return {
+        EventName: eventName,
+        Key: `${bucket}/${key}`,
+        Records: [
+            {
+                eventVersion: "2.0",
+                eventSource: "minio:s3",
+                awsRegion: "",
+                eventTime: "2024-10-02T08:30:00.123Z",
+                eventName,
+                userIdentity: {principalId: "minioadmin"},
+                requestParameters: {principalId: "minioadmin", region: "", sourceIPAddress: "127.0.0.1"},
+                responseElements: {"x-amz-request-id": "17FA6C3B5D7E2C4A", "x-minio-origin-endpoint": "http://127.0.0.1:9000"},
+                s3: {
+                    s3SchemaVersion: "1.0",
+                    configurationId: "Config",
+                    bucket: {name: bucket, ownerIdentity: {principalId: "minioadmin"}, arn: `arn:aws:s3:::${bucket}`},
+                    object: {key, size: 5, eTag: "5d41402abc4b2a76b9719d911017c592", contentType: "text/plain", sequencer: "17FA6C3B5E1B9F2D"}
+                },
+                source: {host: "127.0.0.1", port: "", userAgent: "MinIO (linux; amd64) minio-go/v7.0.77"}
+            }
+        ]
+    }
+}
+
+describe("MinioEvents", () => {
+    let events = undefined
+
+    /**
+     * Post a body to the receiver, like minio does
+     * @param body The Body to post
+     */
+    async function post(body) {
+        await httpRequest(
+            new URL(events.getEndpoint()),
+            {method: "POST", headers: {"Content-Type": "application/json"}},
+            JSON.stringify(body)
+        )
+    }
+
+    beforeEach(async () => {
+        events = new MinioEvents({getRegion: () => "us-east-1"})
+        await events.start()
+    })
+
+    afterEach(async () => {
+        await events.stop()
+    })
+
+    it("should convert each record to a event with a decoded key", async () => {
+        await post(notification("s3:ObjectCreated:Put", "uploads", "images/my+photo%282%29.png"))
+
+        assert.equal(events.events.length, 1)
+        const [event] = events.events
+        assert.equal(event.type, "s3:ObjectCreated:Put")
+        assert.equal(event.bucket, "uploads")
+        assert.equal(event.key, "images/my photo(2).png")
+        assert.equal(event.size, 5)
+        assert.equal(event.eTag, "5d41402abc4b2a76b9719d911017c592")
+        assert.deepEqual(event.time, new Date("2024-10-02T08:30:00.123Z"))
+        assert.equal(event.record.eventSource, "minio:s3")
+    })
+
+    it("should ignore requests without body", async () => {
+        await httpRequest(new URL(events.getEndpoint()), {method: "POST"})
+        await post({})
+
+        assert.deepEqual(events.events, [])
+    })
+
+    it("should filter by type (with wildcard), bucket and key prefix", async () => {
+        await post(notification("s3:ObjectCreated:Put", "uploads", "images/a.png"))
+        await post(notification("s3:ObjectRemoved:Delete", "uploads", "images/a.png"))
+        await post(notification("s3:ObjectCreated:Put", "other", "docs/b.txt"))
+
+        assert.equal((await events.waitForEvent({type: "s3:ObjectRemoved:*"})).type, "s3:ObjectRemoved:Delete")
+        assert.equal((await events.waitForEvent({type: "s3:ObjectCreated:Put", bucket: "other"})).key, "docs/b.txt")
+        assert.equal((await events.waitForEvent({keyPrefix: "docs/"})).bucket, "other")
+        await assert.rejects(
+            events.waitForEvent({type: "s3:ObjectCreated:Copy", timeout: 50}),
+            WebhookTimeoutError
+        )
+    })
+
+    it("should wait for a event that arrives later", async () => {
+        const waiting = events.waitForEvent({bucket: "uploads", type: "s3:ObjectCreated:*"})
+        await post(notification("s3:ObjectCreated:Put", "other", "a.txt"))
+        await post(notification("s3:ObjectCreated:Put", "uploads", "b.txt"))
+
+        assert.equal((await waiting).key, "b.txt")
+
+        events.clear()
+        assert.deepEqual(events.events, [])
+    })
+})
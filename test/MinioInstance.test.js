@@ -0,0 +1,102 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {MinioInstance, MinioInstanceEvents} = require("../MinioInstance");
+const {
+    DriveNotWritableError,
+    IncompatibleDriveError,
+    InvalidCertificateError,
+    PortInUseError,
+    QuorumNotMetError,
+    RejectedCredentialsError,
+    UnsupportedFilesystemError
+} = require("../errors");
+
+/**
+ * Create a instance that collects the startup errors instead of stopping
+ * @param instanceOpts Options for "instance"
+ */
+function createInstance(instanceOpts = {}) {
+    const instance = new MinioInstance({instance: {port: 9000, drives: ["/data"], ...instanceOpts}})
+    const errors = []
+    instance.removeAllListeners(MinioInstanceEvents.instanceError)
+    instance.on(MinioInstanceEvents.instanceError, err => errors.push(err))
+
+    return {instance, errors}
+}
+
+describe("MinioInstance.checkErrorInLine", () => {
+    const cases = [
+        ["ERROR Unable to start the server: listen tcp :9000: bind: address already in use", PortInUseError],
+        ["Invalid credentials: access key length should be at least 3", RejectedCredentialsError],
+        ["Unable to load the TLS configuration: x509: certificate has expired", InvalidCertificateError],
+        ["Unable to use the drive /data: unsupported filesystem", UnsupportedFilesystemError],
+        ["Unable to use the drive /data: found backend type fs, expected xl", IncompatibleDriveError],
+        ["Unable to use the drive /data: drive access denied", DriveNotWritableError],
+        ["Unable to use the drive /data: mkdir /data/.minio.sys: permission denied", DriveNotWritableError]
+    ]
+
+    for (const [line, ErrorClass] of cases) {
+        it(`should emit "${ErrorClass.name}" for "${line}"`, () => {
+            const {instance, errors} = createInstance()
+            instance.checkErrorInLine(line)
+
+            assert.equal(errors.length, 1)
+            assert.ok(errors[0] instanceof ErrorClass)
+        })
+    }
+
+    it("should report the port of the address that is in use", () => {
+        const {instance, errors} = createInstance()
+        instance.checkErrorInLine("listen tcp 127.0.0.1:9001: bind: address already in use")
+
+        assert.equal(errors[0].port, "9001")
+    })
+
+    it("should parse lines written with \"--json\"", () => {
+        const {instance, errors} = createInstance()
+        instance.checkErrorInLine(
+            JSON.stringify({level: "FATAL", message: "Unable to use the drive /data", error: {message: "drive access denied"}})
+        )
+
+        assert.ok(errors[0] instanceof DriveNotWritableError)
+    })
+
+    it("should ignore \"permission denied\" that is not about a drive", () => {
+        const {instance, errors} = createInstance()
+        instance.checkErrorInLine("open /etc/minio/certs/private.key: permission denied")
+
+        assert.deepEqual(errors, [])
+    })
+
+    it("should only report quorum after the grace period", t => {
+        let now = Date.now()
+        t.mock.method(Date, "now", () => now)
+        const {instance, errors} = createInstance({drives: ["/data{1...4}"]})
+        const line = "Waiting for a minimum of 2 drives to come online (elapsed 1s)"
+
+        instance.checkErrorInLine(line)
+        now += 1000
+        instance.checkErrorInLine(line)
+        assert.deepEqual(errors, [])
+
+        now += 1000 * 5
+        instance.checkErrorInLine(line)
+        assert.equal(errors.length, 1)
+        assert.ok(errors[0] instanceof QuorumNotMetError)
+    })
+
+    it("should not report quorum with remote drives", () => {
+        const {instance, errors} = createInstance({drives: ["http://127.0.0.1:9001/data"]})
+        instance.checkErrorInLine("Waiting for a minimum of 2 drives to come online")
+
+        assert.deepEqual(errors, [])
+    })
+
+    it("should ignore errors once the instance is ready", () => {
+        const {instance, errors} = createInstance()
+        instance.isInstanceReady = true
+        instance.checkErrorInLine("address already in use")
+
+        assert.deepEqual(errors, [])
+    })
+})
@@ -0,0 +1,80 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {MinioLogs, MinioLogLevels, parseLogLine} = require("../MinioLogs");
+
+describe("parseLogLine", () => {
+    it("should parse a JSON line", () => {
+        const line = JSON.stringify({
+            level: "ERROR",
+            time: "2024-01-01T00:00:00Z",
+            api: {name: "PutObject"},
+            error: {message: "drive offline", source: ["cmd/xl-storage.go:100"]}
+        })
+        const entry = parseLogLine(line, "stderr")
+
+        assert.equal(entry.level, MinioLogLevels.error)
+        assert.deepEqual(entry.time, new Date("2024-01-01T00:00:00Z"))
+        assert.equal(entry.message, "drive offline")
+        assert.equal(entry.api, "PutObject")
+        assert.equal(entry.error, "drive offline")
+        assert.deepEqual(entry.trace, ["cmd/xl-storage.go:100"])
+        assert.equal(entry.stream, "stderr")
+    })
+
+    it("should prefer the newer \"trace\" field for the error details", () => {
+        const entry = parseLogLine(JSON.stringify({message: "failed", trace: {message: "details"}}), "stdout")
+
+        assert.equal(entry.message, "failed")
+        assert.equal(entry.error, "details")
+        assert.equal(entry.level, MinioLogLevels.info)
+    })
+
+    it("should convert non-JSON lines to INFO entries", () => {
+        const entry = parseLogLine("MinIO Object Storage Server", "stdout")
+
+        assert.equal(entry.level, MinioLogLevels.info)
+        assert.equal(entry.message, "MinIO Object Storage Server")
+        assert.equal(entry.record, undefined)
+    })
+})
+
+describe("MinioLogs", () => {
+    it("should join lines split across chunks", () => {
+        const logs = new MinioLogs()
+        logs.push('{"level":"INFO","message":"first"}\n{"level":"ERR', "stdout")
+        logs.push('OR","message":"second"}\n', "stdout")
+
+        assert.deepEqual(logs.entries.map(entry => entry.message), ["first", "second"])
+        assert.deepEqual(logs.errors().map(entry => entry.message), ["second"])
+    })
+
+    it("should only keep the last \"bufferSize\" entries", () => {
+        const logs = new MinioLogs({bufferSize: 2})
+        logs.push("one\ntwo\nthree\n", "stdout")
+
+        assert.deepEqual(logs.entries.map(entry => entry.message), ["two", "three"])
+        assert.equal(logs.find(entry => entry.message === "three").stream, "stdout")
+
+        logs.clear()
+        assert.deepEqual(logs.entries, [])
+    })
+
+    it("should yield new entries until closed", async () => {
+        const logs = new MinioLogs()
+        logs.push("before\n", "stdout")
+
+        const received = []
+        const iteration = (async () => {
+            for await (const entry of logs) {
+                received.push(entry.message)
+            }
+        })()
+
+        logs.push("after\n", "stdout")
+        logs.push("incomplete", "stderr")
+        logs.close()
+        await iteration
+
+        assert.deepEqual(received, ["after", "incomplete"])
+    })
+})
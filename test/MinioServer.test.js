@@ -0,0 +1,71 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {MinioServer, MinioServerStates} = require("../MinioServer");
+
+/**
+ * Create a "running" server with a fake instance and a admin that only records the calls
+ * @param t The Test context, to mock "getAdmin"
+ * @param pid The PID of the fake minio process ("null" for a process that is gone)
+ */
+function createRunningServer(t, pid = process.pid) {
+    const server = new MinioServer()
+    const calls = []
+    const admin = new Proxy(
+        {},
+        {get: (_, method) => async (...args) => {
+            calls.push([method, ...args])
+
+            return method === "addServiceAccount" ? {accessKey: "key", secretKey: "secret"} : undefined
+        }}
+    )
+
+    server._instanceInfo = {
+        port: 9000,
+        rootUser: "root",
+        rootPassword: "rootpassword",
+        instance: {minioProcess: {pid}, stop: async () => undefined}
+    }
+    server.stateChange(MinioServerStates.running)
+    t.mock.method(server, "getAdmin", () => admin)
+
+    return {server, calls}
+}
+
+describe("MinioServer IAM fixtures", () => {
+    it("should remove the fixtures on \"stop\" without cleanup", async t => {
+        const {server, calls} = createRunningServer(t)
+        const user = await server.createUser()
+        await server.createAccessKey()
+        calls.length = 0
+
+        await server.stop({doCleanup: false})
+
+        assert.deepEqual(calls, [
+            ["deleteServiceAccount", "key"],
+            ["removeUser", user.accessKey]
+        ])
+        assert.equal(server.state, MinioServerStates.stopped)
+    })
+
+    it("should keep the fixtures when restarting", async t => {
+        const {server, calls} = createRunningServer(t)
+        await server.createAccessKey()
+        calls.length = 0
+        t.mock.method(server, "start", async () => server.stateChange(MinioServerStates.running))
+
+        await server._withStoppedInstance(async () => undefined)
+
+        assert.deepEqual(calls, [])
+        assert.ok(server._iamFixtures.accessKeys.has("key"))
+    })
+
+    it("should not try to remove the fixtures when the process is gone", async t => {
+        const {server, calls} = createRunningServer(t, null)
+        await server.createAccessKey()
+        calls.length = 0
+
+        await server.stop({doCleanup: false})
+
+        assert.deepEqual(calls, [])
+    })
+})
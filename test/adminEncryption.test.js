@@ -0,0 +1,39 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {AdminEncryptionAlgorithms, decryptData, encryptData} = require("../adminEncryption");
+
+describe("adminEncryption", () => {
+    it("should decrypt what it encrypted", async () => {
+        const data = JSON.stringify({accessKey: "user", secretKey: "password"})
+        const encrypted = await encryptData("secret", data)
+
+        // salt (32 bytes) | algorithm id | nonce (8 bytes) | single fragment with a 16 byte tag
+        assert.equal(encrypted[32], AdminEncryptionAlgorithms.pbkdf2AESGCM)
+        assert.equal(encrypted.length, 32 + 1 + 8 + data.length + 16)
+        assert.equal((await decryptData("secret", encrypted)).toString(), data)
+    })
+
+    it("should round-trip data spanning multiple fragments", async () => {
+        const data = Buffer.alloc(16 * 1024 * 2 + 10, "a")
+        const encrypted = await encryptData("secret", data)
+
+        assert.equal(encrypted.length, 32 + 1 + 8 + data.length + 3 * 16)
+        assert.deepEqual(await decryptData("secret", encrypted), data)
+    })
+
+    it("should round-trip empty data", async () => {
+        const encrypted = await encryptData("secret", "")
+
+        assert.equal((await decryptData("secret", encrypted)).length, 0)
+    })
+
+    it("should fail to decrypt with a different password", async () => {
+        const encrypted = await encryptData("secret", "data")
+
+        await assert.rejects(decryptData("other", encrypted))
+    })
+
+    it("should fail to decrypt a truncated payload", async () => {
+        await assert.rejects(decryptData("secret", Buffer.alloc(20)), /too short/)
+    })
+})
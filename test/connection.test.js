@@ -0,0 +1,84 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    DEFAULT_CREDENTIALS,
+    authObjectEnable,
+    connectionInfo,
+    createClient,
+    instanceEndpoint,
+    rootCredentials
+} = require("../connection");
+
+describe("authObjectEnable", () => {
+    it("should only be disabled without \"auth\" or with \"disable: true\"", () => {
+        assert.equal(authObjectEnable(undefined), false)
+        assert.equal(authObjectEnable({disable: true}), false)
+        assert.equal(authObjectEnable({disable: false}), true)
+        assert.equal(authObjectEnable({}), true)
+    })
+})
+
+describe("rootCredentials", () => {
+    it("should use the minio defaults without a root user", () => {
+        const credentials = rootCredentials(undefined, "ignored")
+
+        assert.deepEqual(credentials, {accessKey: "minioadmin", secretKey: "minioadmin"})
+        assert.notEqual(credentials, DEFAULT_CREDENTIALS)
+    })
+
+    it("should use the root user and password", () => {
+        assert.deepEqual(rootCredentials("root", "rootpassword"), {accessKey: "root", secretKey: "rootpassword"})
+    })
+})
+
+describe("instanceEndpoint", () => {
+    it("should use https with TLS and the other ip if given", () => {
+        assert.equal(instanceEndpoint({port: 9000}), "http://127.0.0.1:9000")
+        assert.equal(instanceEndpoint({port: 9000, tls: {ca: "ca"}}, "10.0.0.1"), "https://10.0.0.1:9000")
+    })
+})
+
+describe("connectionInfo", () => {
+    const credentials = {accessKey: "root", secretKey: "rootpassword"}
+
+    it("should contain everything to connect a S3 client", () => {
+        assert.deepEqual(connectionInfo({port: 9000}, credentials, "us-east-1"), {
+            endpoint: "http://127.0.0.1:9000",
+            port: 9000,
+            accessKey: "root",
+            secretKey: "rootpassword",
+            region: "us-east-1",
+            forcePathStyle: true,
+            ca: undefined
+        })
+    })
+
+    it("should include the CA with TLS", () => {
+        const info = connectionInfo({port: 9000, tls: {ca: "ca"}}, credentials, "eu-west-1")
+
+        assert.equal(info.endpoint, "https://127.0.0.1:9000")
+        assert.equal(info.ca, "ca")
+    })
+})
+
+describe("createClient", () => {
+    it("should connect to the instance with the credentials and region", () => {
+        const info = connectionInfo({port: 9000}, {accessKey: "root", secretKey: "rootpassword"}, "eu-west-1")
+        const client = createClient(info)
+
+        assert.equal(client.host, "127.0.0.1")
+        assert.equal(client.port, 9000)
+        assert.equal(client.protocol, "http:")
+        assert.equal(client.accessKey, "root")
+        assert.equal(client.secretKey, "rootpassword")
+        assert.equal(client.region, "eu-west-1")
+    })
+
+    it("should use https with a CA and let the options overwrite the generated ones", () => {
+        const info = connectionInfo({port: 9000, tls: {ca: "ca"}}, {accessKey: "root", secretKey: "rootpassword"}, "us-east-1")
+        const client = createClient(info, {region: "eu-west-1"})
+
+        assert.equal(client.protocol, "https:")
+        assert.equal(client.region, "eu-west-1")
+    })
+})
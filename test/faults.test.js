@@ -0,0 +1,115 @@
+const {afterEach, beforeEach, describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {promises: fspromises} = require("fs");
+const {corruptShardFile, findShardFiles, hashFile} = require("../faults");
+const {createTmpDir, removeDir} = require("../utils");
+
+/**
+ * Build a "xl.meta" like minio writes it for small objects (format 1.3)
+ * @param shards The inlined shard data, by version id
+ */
+function xlMeta(shards) {
+    const metadata = Buffer.alloc(40, 0x11)
+    const parts = [
+        Buffer.from("XL2 "),
+        Buffer.from([1, 0, 3, 0]),
+        Buffer.from([0xc6, 0, 0, 0, metadata.length]),
+        metadata,
+        Buffer.from([0xce, 0xde, 0xad, 0xbe, 0xef]),
+        Buffer.from([1, 0x80 + Object.keys(shards).length])
+    ]
+
+    for (const [versionId, data] of Object.entries(shards)) {
+        parts.push(Buffer.from([0xa0 + versionId.length]), Buffer.from(versionId), Buffer.from([0xc4, data.length]), data)
+    }
+
+    return Buffer.concat(parts)
+}
+
+describe("corruptShardFile", () => {
+    let tmpDir = undefined
+
+    beforeEach(async () => {
+        tmpDir = await createTmpDir("minio-tst-faults-")
+    })
+
+    afterEach(async () => {
+        await removeDir(tmpDir)
+    })
+
+    it("should only change the shard data of a inlined shard", async () => {
+        const file = path.join(tmpDir, "xl.meta")
+        const original = xlMeta({null: Buffer.alloc(64, 0x22), v2: Buffer.alloc(4, 0x33), v3: Buffer.alloc(0)})
+        await fspromises.writeFile(file, original)
+
+        const hash = await corruptShardFile({file, inline: true})
+        const content = await fspromises.readFile(file)
+
+        assert.equal(hash, await hashFile(file))
+        assert.equal(content.length, original.length)
+        // header, metadata, crc and the keys are unchanged
+        const changed = [...content.keys()].filter(i => content[i] !== original[i])
+        const firstShard = original.indexOf(Buffer.alloc(64, 0x22))
+        const secondShard = original.indexOf(Buffer.alloc(4, 0x33))
+        assert.deepEqual(changed, [
+            ...Array.from({length: 16}, (_, i) => firstShard + 24 + i),
+            ...Array.from({length: 4}, (_, i) => secondShard + i)
+        ])
+    })
+
+    it("should change the middle of a part file", async () => {
+        const file = path.join(tmpDir, "part.1")
+        await fspromises.writeFile(file, Buffer.alloc(100))
+
+        await corruptShardFile({file, inline: false})
+        const content = await fspromises.readFile(file)
+
+        assert.equal(content.length, 100)
+        assert.deepEqual([...content.keys()].filter(i => content[i] !== 0), Array.from({length: 16}, (_, i) => 42 + i))
+    })
+
+    it("should throw for a unknown format or without shard data, without changing the file", async () => {
+        const file = path.join(tmpDir, "xl.meta")
+        // format 1.0 has the metadata as msgpack map, without "bin 32" header
+        const legacy = Buffer.concat([Buffer.from("XL2 "), Buffer.from([1, 0, 0, 0, 0x85])])
+
+        for (const content of [legacy, Buffer.from("not a xl.meta"), xlMeta({})]) {
+            await fspromises.writeFile(file, content)
+
+            await assert.rejects(corruptShardFile({file, inline: true}))
+            assert.deepEqual(await fspromises.readFile(file), content)
+        }
+    })
+})
+
+describe("findShardFiles", () => {
+    let tmpDir = undefined
+
+    beforeEach(async () => {
+        tmpDir = await createTmpDir("minio-tst-faults-")
+    })
+
+    afterEach(async () => {
+        await removeDir(tmpDir)
+    })
+
+    it("should find part files and inlined shards", async () => {
+        const drives = ["drive1", "drive2", "drive3"].map(drive => path.join(tmpDir, drive))
+        const dataDir = path.join(drives[0], "uploads", "large.bin", "3f1a7c2e")
+        await fspromises.mkdir(dataDir, {recursive: true})
+        await fspromises.writeFile(path.join(drives[0], "uploads", "large.bin", "xl.meta"), "")
+        await fspromises.writeFile(path.join(dataDir, "part.1"), "")
+        await fspromises.mkdir(path.join(drives[1], "uploads", "large.bin"), {recursive: true})
+        await fspromises.writeFile(path.join(drives[1], "uploads", "large.bin", "xl.meta"), "")
+
+        assert.deepEqual(await findShardFiles(drives, "uploads", "large.bin"), [
+            {drivePath: drives[0], file: path.join(dataDir, "part.1"), inline: false},
+            {drivePath: drives[1], file: path.join(drives[1], "uploads", "large.bin", "xl.meta"), inline: true}
+        ])
+    })
+
+    it("should throw for keys outside of the drive", async () => {
+        await assert.rejects(findShardFiles([tmpDir], "uploads", "../../etc"))
+    })
+})
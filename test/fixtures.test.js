@@ -0,0 +1,162 @@
+const {after, before, describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {promises: fspromises} = require("fs");
+const Minio = require("minio");
+const {anonymousPolicy, loadSeedSource, normalizeBucketDefinition, notificationConfig} = require("../fixtures");
+const {createTmpDir, removeDir} = require("../utils");
+const {InvalidBucketDefinitionError, InvalidSeedSourceError} = require("../errors");
+
+describe("normalizeBucketDefinition", () => {
+    it("should convert a name to a definition", () => {
+        assert.deepEqual(normalizeBucketDefinition("uploads"), {name: "uploads"})
+    })
+
+    it("should copy a object definition", () => {
+        const bucket = {name: "uploads", versioning: true}
+        const definition = normalizeBucketDefinition(bucket)
+
+        assert.deepEqual(definition, bucket)
+        assert.notEqual(definition, bucket)
+    })
+
+    it("should throw for a missing name or both \"policy\" and \"anonymous\"", () => {
+        assert.throws(() => normalizeBucketDefinition(""), InvalidBucketDefinitionError)
+        assert.throws(() => normalizeBucketDefinition({versioning: true}), InvalidBucketDefinitionError)
+        assert.throws(
+            () => normalizeBucketDefinition({name: "uploads", policy: {}, anonymous: "download"}),
+            InvalidBucketDefinitionError
+        )
+    })
+})
+
+describe("anonymousPolicy", () => {
+    it("should allow anonymous downloads of the bucket", () => {
+        assert.deepEqual(anonymousPolicy("public-assets", "download"), {
+            Version: "2012-10-17",
+            Statement: [
+                {
+                    Effect: "Allow",
+                    Principal: {AWS: ["*"]},
+                    Action: ["s3:GetBucketLocation", "s3:ListBucket"],
+                    Resource: ["arn:aws:s3:::public-assets"]
+                },
+                {
+                    Effect: "Allow",
+                    Principal: {AWS: ["*"]},
+                    Action: ["s3:GetObject"],
+                    Resource: ["arn:aws:s3:::public-assets/*"]
+                }
+            ]
+        })
+    })
+
+    it("should not allow reading with \"upload\"", () => {
+        const [bucketStatement, objectStatement] = anonymousPolicy("drop", "upload").Statement
+
+        assert.ok(!bucketStatement.Action.includes("s3:ListBucket"))
+        assert.ok(!objectStatement.Action.includes("s3:GetObject"))
+        assert.ok(objectStatement.Action.includes("s3:PutObject"))
+    })
+
+    it("should throw for a unknown canned policy", () => {
+        assert.throws(() => anonymousPolicy("uploads", "private"), InvalidBucketDefinitionError)
+    })
+})
+
+describe("notificationConfig", () => {
+    it("should convert the targets to queue configurations", () => {
+        const config = notificationConfig("uploads", [
+            {arn: "arn:minio:sqs::1:webhook", events: [Minio.ObjectRemovedAll], prefix: "images/", suffix: ".png"},
+            {arn: "arn:minio:sqs::2:webhook"}
+        ])
+
+        assert.deepEqual(JSON.parse(JSON.stringify(config)), {
+            QueueConfiguration: [
+                {
+                    Queue: "arn:minio:sqs::1:webhook",
+                    Event: ["s3:ObjectRemoved:*"],
+                    Filter: {
+                        S3Key: {
+                            FilterRule: [
+                                {Name: "prefix", Value: "images/"},
+                                {Name: "suffix", Value: ".png"}
+                            ]
+                        }
+                    }
+                },
+                {Queue: "arn:minio:sqs::2:webhook", Event: ["s3:ObjectCreated:*"]}
+            ]
+        })
+    })
+
+    it("should pass a \"NotificationConfig\" through", () => {
+        const config = new Minio.NotificationConfig()
+
+        assert.equal(notificationConfig("uploads", config), config)
+    })
+
+    it("should throw for other values", () => {
+        assert.throws(() => notificationConfig("uploads", {arn: "arn:minio:sqs::1:webhook"}), InvalidBucketDefinitionError)
+    })
+})
+
+describe("loadSeedSource", () => {
+    let tmpDir = undefined
+
+    before(async () => {
+        tmpDir = await createTmpDir("minio-tst-fixtures-")
+        await fspromises.mkdir(path.join(tmpDir, "fixtures", "uploads", "images"), {recursive: true})
+        await fspromises.writeFile(path.join(tmpDir, "fixtures", "uploads", "images", "a.png"), "png")
+        await fspromises.writeFile(path.join(tmpDir, "fixtures", "uploads", ".hidden"), "hidden")
+        await fspromises.writeFile(path.join(tmpDir, "fixtures", "README.md"), "not a bucket")
+        await fspromises.writeFile(
+            path.join(tmpDir, "manifest.json"),
+            JSON.stringify({uploads: [{key: "a.txt", content: "a"}]})
+        )
+        await fspromises.writeFile(path.join(tmpDir, "manifest.yml"), "uploads:\n  - key: b.txt\n    file: b.txt\n")
+        await fspromises.writeFile(path.join(tmpDir, "manifest.txt"), "")
+    })
+
+    after(async () => {
+        await removeDir(tmpDir)
+    })
+
+    it("should use a inline manifest as is", async () => {
+        const manifest = {uploads: [{key: "a.txt", content: "a"}]}
+        const loaded = await loadSeedSource(manifest)
+
+        assert.equal(loaded.manifest, manifest)
+        assert.equal(loaded.baseDir, process.cwd())
+    })
+
+    it("should convert a directory, with a bucket per top-level directory", async () => {
+        const dirPath = path.join(tmpDir, "fixtures")
+        const {manifest, baseDir} = await loadSeedSource(dirPath)
+
+        assert.equal(baseDir, dirPath)
+        assert.deepEqual(Object.keys(manifest), ["uploads"])
+        assert.deepEqual(
+            manifest.uploads.map(obj => obj.key).sort(),
+            [".hidden", "images/a.png"]
+        )
+        assert.equal(
+            manifest.uploads.find(obj => obj.key === "images/a.png").file,
+            path.join(dirPath, "uploads", "images", "a.png")
+        )
+    })
+
+    it("should parse JSON and YAML manifests, relative to their directory", async () => {
+        const json = await loadSeedSource(path.join(tmpDir, "manifest.json"))
+        const yaml = await loadSeedSource(path.join(tmpDir, "manifest.yml"))
+
+        assert.deepEqual(json, {manifest: {uploads: [{key: "a.txt", content: "a"}]}, baseDir: tmpDir})
+        assert.deepEqual(yaml, {manifest: {uploads: [{key: "b.txt", file: "b.txt"}]}, baseDir: tmpDir})
+    })
+
+    it("should throw for missing paths, unknown extensions and other values", async () => {
+        await assert.rejects(loadSeedSource(path.join(tmpDir, "missing")), InvalidSeedSourceError)
+        await assert.rejects(loadSeedSource(path.join(tmpDir, "manifest.txt")), InvalidSeedSourceError)
+        await assert.rejects(loadSeedSource(42), InvalidSeedSourceError)
+    })
+})
@@ -0,0 +1,94 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {accessKeyExpiration, bucketAccessPolicy} = require("../iam");
+const {InvalidAccessKeyExpiryError, InvalidPolicyError} = require("../errors");
+
+describe("bucketAccessPolicy", () => {
+    it("should allow the whole bucket without a prefix", () => {
+        const policy = bucketAccessPolicy("uploads")
+
+        assert.deepEqual(policy.Statement, [
+            {
+                Effect: "Allow",
+                Action: ["s3:GetBucketLocation", "s3:ListBucket", "s3:ListBucketMultipartUploads"],
+                Resource: ["arn:aws:s3:::uploads"]
+            },
+            {
+                Effect: "Allow",
+                Action: [
+                    "s3:AbortMultipartUpload",
+                    "s3:DeleteObject",
+                    "s3:GetObject",
+                    "s3:ListMultipartUploadParts",
+                    "s3:PutObject"
+                ],
+                Resource: ["arn:aws:s3:::uploads/*"]
+            }
+        ])
+    })
+
+    it("should only put the prefix condition on a separate ListBucket statement", () => {
+        const policy = bucketAccessPolicy("uploads", {prefix: "tenant-a/"})
+        const [bucketStatement, listStatement, objectStatement] = policy.Statement
+
+        assert.deepEqual(bucketStatement.Action, ["s3:GetBucketLocation", "s3:ListBucketMultipartUploads"])
+        assert.equal(bucketStatement.Condition, undefined)
+        assert.deepEqual(listStatement, {
+            Effect: "Allow",
+            Action: ["s3:ListBucket"],
+            Resource: ["arn:aws:s3:::uploads"],
+            Condition: {StringLike: {"s3:prefix": ["tenant-a/*"]}}
+        })
+        assert.deepEqual(objectStatement.Resource, ["arn:aws:s3:::uploads/tenant-a/*"])
+    })
+
+    it("should not add a ListBucket statement for write access", () => {
+        const policy = bucketAccessPolicy("uploads", {prefix: "tenant-a/", access: "write"})
+
+        assert.equal(policy.Statement.length, 2)
+        assert.ok(policy.Statement.every(statement => !statement.Action.includes("s3:ListBucket")))
+        assert.ok(policy.Statement.every(statement => statement.Condition === undefined))
+    })
+
+    it("should only allow reading with read access", () => {
+        const policy = bucketAccessPolicy("uploads", {access: "read"})
+
+        assert.deepEqual(policy.Statement[0].Action, ["s3:GetBucketLocation", "s3:ListBucket"])
+        assert.deepEqual(policy.Statement[1].Action, ["s3:GetObject"])
+    })
+
+    it("should throw for a unknown access or a missing bucket", () => {
+        assert.throws(() => bucketAccessPolicy("uploads", {access: "admin"}), InvalidPolicyError)
+        assert.throws(() => bucketAccessPolicy(""), InvalidPolicyError)
+    })
+})
+
+describe("accessKeyExpiration", () => {
+    it("should return undefined without a expiry", () => {
+        assert.equal(accessKeyExpiration(undefined), undefined)
+    })
+
+    it("should accept a short lifetime in ms", () => {
+        const before = Date.now()
+        const expiration = accessKeyExpiration(5000)
+
+        assert.ok(expiration instanceof Date)
+        assert.ok(expiration.getTime() >= before + 5000)
+    })
+
+    it("should accept a Date up to 365 days away", () => {
+        const date = new Date(Date.now() + 1000 * 60 * 60 * 24 * 364)
+
+        assert.equal(accessKeyExpiration(date), date)
+    })
+
+    it("should throw for a expiry in the past or too far away", () => {
+        assert.throws(() => accessKeyExpiration(-1), InvalidAccessKeyExpiryError)
+        assert.throws(() => accessKeyExpiration(new Date(0)), InvalidAccessKeyExpiryError)
+        assert.throws(() => accessKeyExpiration(1000 * 60 * 60 * 24 * 366), InvalidAccessKeyExpiryError)
+    })
+
+    it("should include the maximum in the error message", () => {
+        assert.throws(() => accessKeyExpiration(-1), /at most 31536000000ms \(365 days\) from now \(got -1ms\)/)
+    })
+})
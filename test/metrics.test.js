@@ -0,0 +1,82 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {createHmac} = require("crypto");
+const {diffMetrics, parseMetrics, prometheusToken} = require("../metrics");
+
+describe("prometheusToken", () => {
+    it("should generate a HS512 token signed with the secret key", () => {
+        const token = prometheusToken({accessKey: "admin", secretKey: "secret123"})
+        const [header, payload, signature] = token.split(".")
+        const decode = part => JSON.parse(Buffer.from(part, "base64url").toString())
+
+        assert.deepEqual(decode(header), {alg: "HS512", typ: "JWT"})
+        assert.equal(decode(payload).sub, "admin")
+        assert.equal(decode(payload).iss, "prometheus")
+        assert.ok(decode(payload).exp > Date.now() / 1000)
+        assert.equal(
+            signature,
+            createHmac("sha512", "secret123").update(`${header}.${payload}`).digest("base64url")
+        )
+    })
+})
+
+describe("parseMetrics", () => {
+    it("should parse help, type, labels and values", () => {
+        const metrics = parseMetrics(
+            [
+                "# HELP minio_s3_requests_total Total number of S3 requests",
+                "# TYPE minio_s3_requests_total counter",
+                'minio_s3_requests_total{api="putobject",server="127.0.0.1:9000"} 3',
+                'minio_s3_requests_total{api="getobject",server="127.0.0.1:9000"} 1',
+                "minio_node_uptime +Inf",
+                'minio_weird{path="a\\"b\\\\c"} 1.5',
+                '{api="broken"} 1'
+            ].join("\n")
+        )
+
+        const requests = metrics.minio_s3_requests_total
+        assert.equal(requests.help, "Total number of S3 requests")
+        assert.equal(requests.type, "counter")
+        assert.deepEqual(requests.samples, [
+            {labels: {api: "putobject", server: "127.0.0.1:9000"}, value: 3},
+            {labels: {api: "getobject", server: "127.0.0.1:9000"}, value: 1}
+        ])
+        assert.deepEqual(metrics.minio_node_uptime.samples, [{labels: {}, value: Infinity}])
+        assert.deepEqual(metrics.minio_weird.samples[0].labels, {path: 'a"b\\c'})
+        assert.deepEqual(Object.keys(metrics), ["minio_s3_requests_total", "minio_node_uptime", "minio_weird"])
+    })
+})
+
+describe("diffMetrics", () => {
+    const scrape = (scope, name, samples) => ({
+        [scope]: {[name]: {name, help: undefined, type: "counter", samples}}
+    })
+
+    it("should count the requests from the v3 scope", () => {
+        const before = scrape("requests", "minio_api_requests_total", [
+            {labels: {name: "ListObjectsV2", type: "s3"}, value: 4}
+        ])
+        const after = scrape("requests", "minio_api_requests_total", [
+            {labels: {name: "ListObjectsV2", type: "s3"}, value: 6},
+            {labels: {name: "PutObject", type: "s3"}, value: 1}
+        ])
+
+        const {requests, metrics} = diffMetrics(before, after)
+        assert.deepEqual(requests, {listobjectsv2: 2, putobject: 1})
+        assert.equal(metrics.requests.minio_api_requests_total.samples.length, 2)
+    })
+
+    it("should fall back to the v2 scopes without the v3 scope", () => {
+        const before = scrape("node", "minio_s3_requests_total", [{labels: {api: "getobject"}, value: 1}])
+        const after = scrape("node", "minio_s3_requests_total", [{labels: {api: "getobject"}, value: 3}])
+
+        assert.deepEqual(diffMetrics(before, after).requests, {getobject: 2})
+    })
+
+    it("should only keep samples that changed", () => {
+        const before = scrape("cluster", "minio_cluster_usage_total_bytes", [{labels: {}, value: 10}])
+        const after = scrape("cluster", "minio_cluster_usage_total_bytes", [{labels: {}, value: 10}])
+
+        assert.deepEqual(diffMetrics(before, after), {requests: {}, metrics: {cluster: {}}})
+    })
+})
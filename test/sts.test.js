@@ -0,0 +1,112 @@
+const {after, before, describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {stsRequest, xmlValue} = require("../sts");
+const {STSRequestError} = require("../errors");
+
+describe("xmlValue", () => {
+    it("should return the text of the first element", () => {
+        assert.equal(xmlValue("<A><Code>First</Code><Code>Second</Code></A>", "Code"), "First")
+        assert.equal(xmlValue("<A></A>", "Code"), undefined)
+    })
+
+    it("should decode entities and character references", () => {
+        assert.equal(
+            xmlValue("<Message>&lt;a href=&#34;x&#34;&gt; &amp; &apos;b&#39;&#xA;c</Message>", "Message"),
+            "<a href=\"x\"> & 'b'\nc"
+        )
+    })
+
+    it("should not decode escaped entities twice", () => {
+        assert.equal(xmlValue("<Message>&amp;lt;&amp;#34;</Message>", "Message"), "&lt;&#34;")
+    })
+})
+
+describe("stsRequest", () => {
+    let server = undefined
+    let connection = undefined
+    let respond = undefined
+    const requests = []
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const chunks = []
+            req.on("data", chunk => chunks.push(chunk))
+            req.on("end", () => {
+                requests.push({headers: req.headers, form: new URLSearchParams(Buffer.concat(chunks).toString())})
+                const [statusCode, body] = respond
+                res.writeHead(statusCode, {"Content-Type": "application/xml"}).end(body)
+            })
+        })
+        await new Promise(res => server.listen(0, "127.0.0.1", res))
+        connection = {endpoint: `http://127.0.0.1:${server.address().port}`, region: "us-east-1"}
+    })
+
+    after(async () => {
+        await new Promise(res => server.close(res))
+    })
+
+    it("should return the credentials of a signed request", async () => {
+        respond = [
+            200,
+            "<AssumeRoleResponse><AssumeRoleResult><Credentials>" +
+                "<AccessKeyId>TMPKEY</AccessKeyId><SecretAccessKey>tmp&amp;secret</SecretAccessKey>" +
+                "<SessionToken>token</SessionToken><Expiration>2024-10-02T09:30:00Z</Expiration>" +
+                "</Credentials></AssumeRoleResult></AssumeRoleResponse>"
+        ]
+        const credentials = await stsRequest(
+            connection,
+            {Action: "AssumeRole", DurationSeconds: 900, Policy: undefined},
+            {accessKey: "root", secretKey: "rootpassword"}
+        )
+
+        assert.deepEqual(credentials, {
+            accessKey: "TMPKEY",
+            secretKey: "tmp&secret",
+            sessionToken: "token",
+            expiration: new Date("2024-10-02T09:30:00Z")
+        })
+        const {headers, form} = requests.at(-1)
+        assert.match(headers.authorization, /^AWS4-HMAC-SHA256 Credential=root\/\d{8}\/us-east-1\/sts\/aws4_request/)
+        assert.deepEqual(Object.fromEntries(form), {Version: "2011-06-15", Action: "AssumeRole", DurationSeconds: "900"})
+    })
+
+    it("should not sign without credentials", async () => {
+        respond = [200, "<Credentials><AccessKeyId>TMPKEY</AccessKeyId></Credentials>"]
+        await stsRequest(connection, {Action: "AssumeRoleWithWebIdentity", WebIdentityToken: "jwt"})
+
+        assert.equal(requests.at(-1).headers.authorization, undefined)
+    })
+
+    it("should map a error response to a \"STSRequestError\"", async () => {
+        respond = [
+            403,
+            '<?xml version="1.0" encoding="UTF-8"?>\n<ErrorResponse xmlns="https://sts.amazonaws.com/doc/2011-06-15/">' +
+                "<Error><Type></Type><Code>AccessDenied</Code>" +
+                "<Message>Access denied: policy &#34;readonly&#34; does not allow &#39;sts:AssumeRole&#39;</Message>" +
+                "</Error><RequestId>17FA6C3B5D7E2C4A</RequestId></ErrorResponse>"
+        ]
+
+        await assert.rejects(
+            stsRequest(connection, {Action: "AssumeRole"}, {accessKey: "root", secretKey: "rootpassword"}),
+            err => {
+                assert.ok(err instanceof STSRequestError)
+                assert.equal(err.action, "AssumeRole")
+                assert.equal(err.statusCode, 403)
+                assert.equal(err.code, "AccessDenied")
+                assert.match(err.message, /policy "readonly" does not allow 'sts:AssumeRole'/)
+
+                return true
+            }
+        )
+    })
+
+    it("should use the body as message for non-XML errors", async () => {
+        respond = [502, "Bad Gateway"]
+
+        await assert.rejects(
+            stsRequest(connection, {Action: "AssumeRole"}),
+            err => err instanceof STSRequestError && err.code === undefined && /: Bad Gateway$/.test(err.message)
+        )
+    })
+})
@@ -0,0 +1,49 @@
+const {describe, it} = require("node:test");
+const assert = require("node:assert/strict");
+const {authDefault, validateCredentials} = require("../utils");
+const {InvalidCredentialsError} = require("../errors");
+
+describe("authDefault", () => {
+    it("should generate new credentials for every call", () => {
+        const first = authDefault({})
+        const second = authDefault({})
+
+        assert.equal(first.disable, false)
+        assert.notEqual(first.customRootName, second.customRootName)
+        assert.notEqual(first.customRootPwd, second.customRootPwd)
+        assert.doesNotThrow(() => validateCredentials(first.customRootName, first.customRootPwd))
+    })
+
+    it("should keep given values", () => {
+        assert.deepEqual(authDefault({customRootName: "root", customRootPwd: "rootpassword", disable: true}), {
+            customRootName: "root",
+            customRootPwd: "rootpassword",
+            disable: true
+        })
+    })
+})
+
+describe("validateCredentials", () => {
+    it("should accept the minimal lengths", () => {
+        assert.doesNotThrow(() => validateCredentials("abc", "12345678"))
+    })
+
+    it("should throw with the lengths for too short credentials", () => {
+        /**
+         * Create a validation function for "assert.throws"
+         * @param accessKeyLength The expected length of the access key
+         * @param secretKeyLength The expected length of the secret key
+         */
+        const withLengths = (accessKeyLength, secretKeyLength) => err =>
+            err instanceof InvalidCredentialsError &&
+            err.accessKeyLength === accessKeyLength &&
+            err.secretKeyLength === secretKeyLength
+
+        assert.throws(() => validateCredentials("ab", "12345678"), withLengths(2, 8))
+        assert.throws(() => validateCredentials("abc", "1234567"), withLengths(3, 7))
+    })
+
+    it("should treat missing credentials as empty", () => {
+        assert.throws(() => validateCredentials(undefined, null), InvalidCredentialsError)
+    })
+})